@@ -1,14 +1,52 @@
+use std::path::{Path, PathBuf};
+use tauri::Manager;
+
 // Learn more about Tauri commands at https://tauri.app/develop/calling-rust/
 #[tauri::command]
 fn greet(name: &str) -> String {
     format!("Hello, {}! You've been greeted from Rust!", name)
 }
 
+/// Saves a file exported by the page (an image, a solution sheet, ...) in
+/// the Downloads folder, and returns its path
+///
+/// Existing files are not overwritten; a number is added to the name instead.
+#[tauri::command]
+fn save_export(app: tauri::AppHandle, name: &str, contents: Vec<u8>) -> Result<String, String> {
+    let dir = app.path().download_dir().map_err(|e| e.to_string())?;
+    // Only use the file name, so that the page cannot write anywhere else
+    let name = Path::new(name).file_name().ok_or("Invalid file name")?;
+    let path = unique_path(&dir, Path::new(name));
+    std::fs::write(&path, contents).map_err(|e| e.to_string())?;
+    Ok(path.display().to_string())
+}
+
+/// Returns `dir/name`, or `dir/name (<n>).ext` if that file exists already
+fn unique_path(dir: &Path, name: &Path) -> PathBuf {
+    let stem = name.file_stem().unwrap_or_default().to_string_lossy();
+    let extension = name
+        .extension()
+        .map(|extension| format!(".{}", extension.to_string_lossy()))
+        .unwrap_or_default();
+    let mut path = dir.join(name);
+    let mut n = 1;
+    while path.exists() {
+        path = dir.join(format!("{} ({}){}", stem, n, extension));
+        n += 1;
+    }
+    path
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
     tauri::Builder::default()
         .plugin(tauri_plugin_shell::init())
-        .invoke_handler(tauri::generate_handler![greet])
+        .plugin(tauri_plugin_dialog::init())
+        // The page may only access the files and folders picked in the dialogs
+        // (which add them to the scope), also after a restart (recent files)
+        .plugin(tauri_plugin_fs::init())
+        .plugin(tauri_plugin_persisted_scope::init())
+        .invoke_handler(tauri::generate_handler![greet, save_export])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
 }
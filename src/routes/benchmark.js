@@ -0,0 +1,45 @@
+/*
+ * Compares the solver engines on a couple of sample boards
+ *
+ * Usage: npm run benchmark
+ *
+ * The first boards are the built-in challenges (see `challenges.js`); the
+ * others have many more solutions, to show how the engines scale.
+ */
+import { performance } from 'node:perf_hooks'
+import { KangourouKnotPuzzle } from './puzzle.js'
+import { challenges } from './challenges.js'
+
+/** @type {{ board: string, pieceCounts?: Number[], allowFlips?: boolean }[]} */
+const samples = [
+  ...challenges.map(({ board, pieceCounts }) => ({ board, pieceCounts })),
+  { board: 'XXXXXX\nXXXXXX' },
+  { board: 'XXXXXXX\nXXXXXXX' },
+  { board: 'XXXX\nXXXX', allowFlips: true },
+]
+
+/** @type {('bitmask' | 'dlx')[]} */
+const engines = ['bitmask', 'dlx']
+
+let mismatch = false
+console.log(['board', 'pieces', ...engines.map(engine => `${engine} (ms)`), 'solutions'].join('\t'))
+for (const { board, pieceCounts, allowFlips } of samples) {
+  const results = engines.map(engine => {
+    const puzzle = new KangourouKnotPuzzle(board, { allowFlips, engine })
+    const start = performance.now()
+    const count = puzzle.solve(pieceCounts).length
+    return { count, time: performance.now() - start }
+  })
+  if (results.some(result => result.count !== results[0].count)) mismatch = true
+  console.log([
+    JSON.stringify(board),
+    `${pieceCounts ? pieceCounts.join(',') : 'default'}${allowFlips ? ' (flips)' : ''}`,
+    ...results.map(result => result.time.toFixed(1)),
+    results.map(result => result.count).join(' / ')
+  ].join('\t'))
+}
+
+if (mismatch) {
+  console.error('error: the engines disagree on the number of solutions')
+  process.exitCode = 1
+}
@@ -0,0 +1,124 @@
+/*
+ * A catalogue of challenges: boards to be covered with exactly the given
+ * pieces of the Kangourou knot puzzle
+ *
+ * Each challenge has a unique `name` (used e.g. by the `--challenge`
+ * option of the command-line interface), a board in the ASCII format
+ * accepted by `KangourouKnotPuzzle`, the piece counts (in the order of
+ * `kangourouPieceSet`) and a rough difficulty.
+ *
+ * Which challenges the user solved is remembered in the browser's local
+ * storage.
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   board: string,
+ *   pieceCounts: Number[],
+ *   difficulty: 'easy' | 'medium' | 'hard'
+ * }} Challenge
+ */
+
+/** @type {Challenge[]} */
+export const challenges = [
+  {
+    name: 'square',
+    board: 'XX\nXX',
+    pieceCounts: [0, 0, 4, 0, 0],
+    difficulty: 'easy'
+  },
+  {
+    // The one shown in the README (`example.svg`)
+    name: 'example',
+    board: 'XXXX\nXXXX\nXXXX',
+    pieceCounts: [0, 6, 3, 2, 2],
+    difficulty: 'medium'
+  },
+  {
+    name: 'rectangle',
+    board: 'XXXXXX\nXXXXXX',
+    pieceCounts: [2, 6, 4, 0, 2],
+    difficulty: 'medium'
+  },
+  {
+    name: 'staircase',
+    board: ' XXX\n XXX\nXXX \nXXX ',
+    pieceCounts: [2, 6, 4, 0, 2],
+    difficulty: 'hard'
+  },
+  {
+    name: 'window',
+    board: 'XXX\nX X\nXXX\nXXX',
+    pieceCounts: [1, 4, 3, 2, 2],
+    difficulty: 'hard'
+  },
+  {
+    name: 'castle',
+    board: ' XXX\n X X\nXX XX\nXXXXX',
+    pieceCounts: [2, 6, 4, 2, 2],
+    difficulty: 'hard'
+  },
+]
+
+/**
+ * Looks up a challenge by name
+ *
+ * @param {string} name
+ * @returns {Challenge | undefined}
+ */
+export function findChallenge(name) {
+  return challenges.find(challenge => challenge.name === name)
+}
+
+/**
+ * Looks up the challenge with the given board and (exact) piece counts
+ *
+ * Trailing spaces and empty lines of the board are ignored.
+ *
+ * @param {string} board
+ * @param {Number[]} pieceCounts
+ * @returns {Challenge | undefined}
+ */
+export function matchChallenge(board, pieceCounts) {
+  /** @type {(board: string) => string} */
+  const normalize = board => board.split('\n').map(line => line.trimEnd()).join('\n').replace(/\n+$/, '')
+  return challenges.find(challenge =>
+    normalize(challenge.board) === normalize(board) && challenge.pieceCounts.join() === pieceCounts.join())
+}
+
+const storageKey = 'kangourou-knot-puzzle.solved-challenges'
+
+/**
+ * Returns the names of the challenges the user solved
+ *
+ * Outside of the browser (or if local storage is unavailable), this is
+ * always empty.
+ *
+ * @returns {Set<string>}
+ */
+export function solvedChallenges() {
+  try {
+    const names = JSON.parse(globalThis.localStorage?.getItem(storageKey) || '[]')
+    return new Set(Array.isArray(names) ? names : [])
+  } catch {
+    return new Set()
+  }
+}
+
+/**
+ * Records whether the user solved the given challenge
+ *
+ * @param {string} name
+ * @param {boolean} solved
+ */
+export function markChallengeSolved(name, solved) {
+  const names = solvedChallenges()
+  if (solved) names.add(name)
+  else names.delete(name)
+  try {
+    globalThis.localStorage?.setItem(storageKey, JSON.stringify([...names]))
+  } catch {
+    // e.g. private browsing with storage disabled; progress is simply not kept
+  }
+}
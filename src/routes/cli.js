@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/*
+ * Command-line interface for the Kangourou knot puzzle solver
+ *
+ * Reads a board in the ASCII format accepted by `KangourouKnotPuzzle`
+ * (one line per row, `X` for a tile, space for a hole) from a file, or
+ * from stdin, and prints its solutions.
+ *
+ * With `--verify`, it checks a given solution instead (in the format
+ * printed by this tool, or a JSON document as described in `format.js`).
+ *
+ * Exit codes: 0 if at least one solution was found (or all of the given
+ * solutions are valid), 1 if there is no (valid) solution, 2 if the input
+ * was invalid.
+ */
+import { readFileSync, writeFileSync } from 'node:fs'
+import { parseArgs } from 'node:util'
+import { KangourouKnotPuzzle } from './puzzle.js'
+import { challenges, findChallenge } from './challenges.js'
+import { fromDocument, toDocument } from './format.js'
+
+export const EXIT_SOLVED = 0
+export const EXIT_NO_SOLUTION = 1
+export const EXIT_INVALID_INPUT = 2
+
+const usage = `usage: npm run solve -- [<options>] [<board-file> | -]
+   or: npm run solve -- [<options>] --challenge <name>
+   or: npm run solve -- [<options>] --verify <solution-file> [<board-file> | -]
+
+Solves the board read from <board-file> (or from stdin), or one of the
+built-in challenges. With --verify, checks the solution read from
+<solution-file> instead: either a solution as printed by this tool, or a
+JSON document (which includes the board) as printed with --document.
+
+Options:
+  --challenge <name>      solve the named challenge (board and pieces), one of:
+                          ${challenges.map(challenge => challenge.name).join(', ')}
+  --pieces <counts>       use exactly these pieces, e.g. 2,6,4,2,2
+                          (default: at most the pieces in the box)
+  --at-most               with --pieces, use at most (not exactly) these pieces
+  --piece-set <file>      load custom piece definitions from a JSON file
+  --allow-flips           allow pieces to be flipped ("double-sided" variant)
+  --engine <engine>       the solver engine: bitmask (default) or dlx
+  --constraints <file>    only find the solutions meeting the constraints
+                          (pinned pieces, allowed rotations, cells to cover
+                          or avoid, number of piece types) in a JSON file,
+                          e.g. {"maxPieceTypes": 3, "mustCover": [[0, 0, 1]]}
+  --distinct              skip solutions that are rotations (or reflections)
+                          of the whole board of another solution
+  --single-loop           only print solutions whose strands form a single
+                          closed loop
+  --strands               describe the loops formed by the strands of each
+                          solution (and color them in the SVG images)
+  --first                 stop after the first solution
+  --count                 only print the number of solutions
+  --by-pieces             with --count, break the number down by the pieces used
+  --json                  print the solutions as JSON
+  --document              print the board and the solutions as a versioned
+                          JSON document
+  --color, --no-color     force (or suppress) colored output
+  --svg <prefix>          write each solution to <prefix>-<n>.svg
+  --sheet <file>          write all solutions to one printable SVG file
+  -h, --help              show this help`
+
+/**
+ * Signals that the command-line arguments are invalid
+ */
+export class UsageError extends Error {}
+
+/**
+ * Parses the board, ignoring trailing empty lines
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const parseBoard = text => {
+  const board = text.replace(/\r/g, '').replace(/\n+$/, '')
+  if (!/[^ \n]/.test(board)) throw new Error('The board is empty')
+  return board
+}
+
+/**
+ * Parses a comma-separated list of piece counts
+ *
+ * @param {string} value
+ * @param {Number} pieceTypes
+ * @returns {Number[]}
+ */
+export const parsePieceCounts = (value, pieceTypes) => {
+  const pieceCounts = value.split(',').map(count => count.trim() === '' ? NaN : Number(count))
+  if (pieceCounts.some(count => !Number.isInteger(count) || count < 0)) {
+    throw new UsageError(`Invalid piece counts: ${value}`)
+  }
+  if (pieceCounts.length > pieceTypes) {
+    throw new UsageError(`Expected at most ${pieceTypes} piece counts, got ${pieceCounts.length}`)
+  }
+  return pieceCounts
+}
+
+/**
+ * Explains on stderr why there are no solutions, e.g. that the pieces do
+ * not cover the board
+ *
+ * @param {KangourouKnotPuzzle} puzzle
+ * @param {Number[] | undefined} pieceCounts
+ * @param {boolean | undefined} atMost
+ */
+const printDiagnoses = (puzzle, pieceCounts, atMost) => {
+  for (const { message, cells } of puzzle.diagnose(pieceCounts, { atMost })) {
+    console.error(`${message}${cells.length === 0 ? '' : `: ${cells.map(([x, y]) => `(${x},${y})`).join(' ')}`}`)
+  }
+}
+
+/**
+ * Runs the command-line interface
+ *
+ * @param {string[]} args
+ * @returns {Number} the exit code
+ */
+export function main(args) {
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        challenge: { type: 'string' },
+        pieces: { type: 'string' },
+        'at-most': { type: 'boolean' },
+        'piece-set': { type: 'string' },
+        'allow-flips': { type: 'boolean' },
+        engine: { type: 'string' },
+        constraints: { type: 'string' },
+        distinct: { type: 'boolean' },
+        first: { type: 'boolean' },
+        'single-loop': { type: 'boolean' },
+        strands: { type: 'boolean' },
+        count: { type: 'boolean' },
+        'by-pieces': { type: 'boolean' },
+        json: { type: 'boolean' },
+        document: { type: 'boolean' },
+        verify: { type: 'string' },
+        color: { type: 'boolean' },
+        'no-color': { type: 'boolean' },
+        svg: { type: 'string' },
+        sheet: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      }
+    })
+
+    if (values.help) {
+      console.log(usage)
+      return EXIT_SOLVED
+    }
+    if (positionals.length > 1) throw new UsageError('Too many arguments')
+
+    const challenge = values.challenge === undefined ? undefined : findChallenge(values.challenge)
+    if (values.challenge !== undefined) {
+      if (!challenge) throw new UsageError(`Unknown challenge: ${values.challenge}`)
+      if (positionals.length > 0) throw new UsageError('--challenge cannot be combined with a board file')
+      if (values.pieces !== undefined) throw new UsageError('--challenge cannot be combined with --pieces')
+    }
+
+    const solutionText = values.verify === undefined ? undefined : readFileSync(values.verify, 'utf8')
+    const document = solutionText?.trimStart().startsWith('{') ? fromDocument(solutionText) : undefined
+    if (document && (positionals.length > 0 || challenge)) throw new UsageError('The document already contains the board')
+
+    const file = positionals[0] ?? '-'
+    if (!challenge && !document && file === '-' && process.stdin.isTTY) throw new UsageError('No board given')
+    const board = document?.puzzle.board ?? challenge?.board ?? parseBoard(readFileSync(file === '-' ? 0 : file, 'utf8'))
+    const pieceSet = values['piece-set'] && readFileSync(values['piece-set'], 'utf8')
+    const puzzle = document?.puzzle ?? new KangourouKnotPuzzle(board, {
+      pieceSet: pieceSet || undefined,
+      allowFlips: values['allow-flips'],
+      engine: /** @type {'bitmask' | 'dlx' | undefined} */ (values.engine)
+    })
+
+    const pieceCounts = document ? document.pieceCounts : challenge?.pieceCounts ??
+      (values.pieces === undefined ? undefined : parsePieceCounts(values.pieces, puzzle.pieces.length))
+    const atMost = document ? document.atMost : values['at-most']
+
+    if (solutionText !== undefined) {
+      const solutions = document ? document.solutions : [puzzle.parseSolution(solutionText)]
+      let valid = solutions.length > 0
+      solutions.forEach((solution, index) => {
+        const errors = puzzle.verify(solution, pieceCounts, { atMost })
+        if (errors.length > 0) valid = false
+        const name = solutions.length === 1 ? 'The solution' : `Solution ${index + 1}`
+        if (errors.length === 0) console.log(`${name} is valid.`)
+        else console.log(`${name} is invalid:\n${errors.map(error => `  ${error.message}`).join('\n')}`)
+      })
+      if (solutions.length === 0) console.log('The document contains no solutions.')
+      return valid ? EXIT_SOLVED : EXIT_NO_SOLUTION
+    }
+    /** @type {import('./puzzle.js').Constraints | undefined} */
+    const constraints = values.constraints === undefined ? undefined : JSON.parse(readFileSync(values.constraints, 'utf8'))
+
+    if (values.count && !values.first && !values.distinct && !values['single-loop'] && !constraints && !values.svg && !values.sheet) {
+      // No need to enumerate the solutions
+      const counts = puzzle.countSolutions(pieceCounts, { atMost })
+      if (values.json) console.log(JSON.stringify(values['by-pieces'] ? counts : counts.total))
+      else {
+        console.log(counts.total)
+        if (values['by-pieces']) {
+          for (const { pieceCount, count } of counts.byPieceCount) console.log(`${pieceCount.join(',')}: ${count}`)
+        }
+      }
+      if (counts.total === 0) printDiagnoses(puzzle, pieceCounts, atMost)
+      return counts.total > 0 ? EXIT_SOLVED : EXIT_NO_SOLUTION
+    }
+
+    // The size of a tile in the SVG files, in pixels
+    const tileSize = 64
+    const useColor = values['no-color'] ? false : values.color ?? (!!process.stdout.isTTY && !process.env.NO_COLOR)
+    /** @type {Number[][][]} */
+    const solutions = []
+    const options = { atMost, firstOnly: values.first, distinct: values.distinct, singleLoop: values['single-loop'], constraints }
+    for (const solution of puzzle.solutions(pieceCounts, options)) {
+      solutions.push(solution)
+      if (values.svg) {
+        const svg = puzzle.solutionToSVG(solution, { raw: true, tileSize, loops: values.strands })
+        writeFileSync(`${values.svg}-${solutions.length}.svg`, svg)
+      }
+      if (!values.count && !values.json && !values.document) {
+        const strands = values.strands ? `Strands: ${KangourouKnotPuzzle.describeStrands(puzzle.analyzeStrands(solution))}\n` : ''
+        console.log(`Solution ${solutions.length}:\n${puzzle.solutionToString(solution, useColor)}\n${strands}`)
+      }
+    }
+
+    if (values.sheet && solutions.length > 0) {
+      const captions = solutions.map((solution, index) =>
+        `Solution ${index + 1} (${puzzle.pieces.map((_, i) => solution.filter(move => move[2] === i).length).join(',')})`)
+      writeFileSync(values.sheet, puzzle.solutionSheetToSVG(solutions, { raw: true, tileSize, captions, loops: values.strands }))
+    }
+    if (values.document) console.log(JSON.stringify(toDocument(puzzle, solutions, { pieceCounts, atMost }), null, 2))
+    else if (values.json) console.log(JSON.stringify(solutions))
+    else if (values.count) console.log(solutions.length)
+    else console.log(`${solutions.length} solution${solutions.length === 1 ? '' : 's'} found.`)
+    if (solutions.length === 0) printDiagnoses(puzzle, pieceCounts, atMost)
+    return solutions.length > 0 ? EXIT_SOLVED : EXIT_NO_SOLUTION
+  } catch (e) {
+    // Unreadable files, malformed piece sets and the like all count as invalid input
+    console.error(`error: ${e instanceof Error ? e.message : e}`)
+    // `parseArgs()` throws errors with an `ERR_PARSE_ARGS_*` code for unknown/invalid options
+    if (e instanceof UsageError || `${/** @type {any} */ (e)?.code}`.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`\n${usage}`)
+    }
+    return EXIT_INVALID_INPUT
+  }
+}
+
+if (typeof process !== 'undefined' && import.meta?.url?.endsWith(process.argv[1]?.replace(/\\/g, '/'))) {
+  process.exitCode = main(process.argv.slice(2))
+}
@@ -0,0 +1,259 @@
+/*
+ * Features of the desktop app: native dialogs to open and save board
+ * files, a list of recently used files and solving all the boards of a
+ * folder at once
+ *
+ * The files are read and written via Tauri's file system plugin, which
+ * only gives access to the files and folders the user picked in the
+ * dialogs (see `src-tauri/src/lib.rs`). In the browser, `isDesktop()` is
+ * false and none of the other functions may be called; the page falls
+ * back to its own load and save buttons instead.
+ *
+ * Board files are either in the ASCII format of the command-line
+ * interface (`.txt`) or documents as described in `format.js` (`.json`).
+ */
+import { isTauri } from '@tauri-apps/api/core'
+import { join } from '@tauri-apps/api/path'
+import { open, save } from '@tauri-apps/plugin-dialog'
+import { readDir, readTextFile, writeTextFile } from '@tauri-apps/plugin-fs'
+import { fromDocument } from './format.js'
+import { defaultPieceSet } from './pieces.js'
+import { countInWorker } from './solver.js'
+
+const boardFilters = [
+  { name: 'Boards', extensions: ['txt', 'json'] }
+]
+
+/**
+ * Whether the page runs in the desktop app
+ *
+ * @returns {boolean}
+ */
+export function isDesktop() {
+  return isTauri()
+}
+
+/**
+ * @typedef {{
+ *   board: string,
+ *   pieceCounts?: Number[],
+ *   atMost: boolean,
+ *   allowFlips: boolean,
+ *   pieceSet?: import('./pieces.js').PieceSetDefinition
+ * }} BoardFile
+ */
+
+/**
+ * Parses the contents of a board file
+ *
+ * `pieceSet` is only set if the board is to be covered with other pieces
+ * than those of the Kangourou knot puzzle.
+ *
+ * @param {string} path the path of the file, whose extension tells its format
+ * @param {string} text
+ * @returns {BoardFile}
+ */
+export function parseBoardFile(path, text) {
+  if (path.toLowerCase().endsWith('.json')) {
+    const { puzzle, pieceCounts, atMost } = fromDocument(text)
+    return {
+      board: puzzle.board,
+      pieceCounts,
+      atMost,
+      allowFlips: puzzle.allowFlips,
+      ...(puzzle.pieceSet === defaultPieceSet ? {} : { pieceSet: puzzle.pieceSet.definition })
+    }
+  }
+  const board = text.replace(/\r/g, '').replace(/\n+$/, '')
+  if (!board.trim()) throw new Error('The board is empty')
+  return { board, atMost: true, allowFlips: false }
+}
+
+/**
+ * Reads a board file
+ *
+ * @param {string} path
+ * @returns {Promise<BoardFile>}
+ */
+export async function readBoardFile(path) {
+  const boardFile = parseBoardFile(path, await readTextFile(path))
+  addRecentFile(path)
+  return boardFile
+}
+
+/**
+ * Lets the user choose a board file, and reads it
+ *
+ * @returns {Promise<{ path: string } & BoardFile | undefined>} nothing if the dialog was cancelled
+ */
+export async function openBoardFile() {
+  const path = await open({ title: 'Open a board', filters: boardFilters })
+  if (!path) return undefined
+  return { path, ...await readBoardFile(path) }
+}
+
+/**
+ * Lets the user choose where to save the board, in the ASCII format
+ *
+ * @param {string} board
+ * @returns {Promise<string | undefined>} the path of the file, or nothing if the dialog was cancelled
+ */
+export async function saveBoardFile(board) {
+  // Suggest the most recent file, which may be a `.json` document, with the extension of the ASCII format
+  const recent = recentFiles()[0]
+  const path = await save({
+    title: 'Save the board',
+    defaultPath: recent ? recent.replace(/(\.[^./\\]*)?$/, '.txt') : 'board.txt',
+    filters: [{ name: 'Boards', extensions: ['txt'] }]
+  })
+  if (!path) return undefined
+  await writeTextFile(path, `${board}\n`)
+  addRecentFile(path)
+  return path
+}
+
+const storageKey = 'kangourou-knot-puzzle.recent-files'
+const maxRecentFiles = 10
+
+/**
+ * Returns the paths of the board files opened or saved recently, the most
+ * recent first
+ *
+ * @returns {string[]}
+ */
+export function recentFiles() {
+  try {
+    const paths = JSON.parse(globalThis.localStorage?.getItem(storageKey) || '[]')
+    return Array.isArray(paths) ? paths : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Moves the given path to the top of the recent files
+ *
+ * @param {string} path
+ */
+function addRecentFile(path) {
+  setRecentFiles([path, ...recentFiles().filter(recent => recent !== path)].slice(0, maxRecentFiles))
+}
+
+/**
+ * Removes the given path from the recent files, e.g. after it could not
+ * be read
+ *
+ * @param {string} path
+ */
+export function forgetRecentFile(path) {
+  setRecentFiles(recentFiles().filter(recent => recent !== path))
+}
+
+/**
+ * @param {string[]} paths
+ */
+function setRecentFiles(paths) {
+  try {
+    globalThis.localStorage?.setItem(storageKey, JSON.stringify(paths))
+  } catch {
+    // e.g. storage disabled; the files are simply not remembered
+  }
+}
+
+/**
+ * @typedef {{
+ *   path: string,
+ *   tileCount?: Number,
+ *   byPieceCount?: { pieceCount: Number[], count: Number }[],
+ *   total?: Number,
+ *   seconds: Number,
+ *   error?: string
+ * }} BatchResult
+ */
+
+/**
+ * Lets the user choose a folder, counts the solutions of each board file
+ * in it and writes a summary to `summary.md` in the same folder
+ *
+ * The piece counts and piece sets of `.json` documents are used; other
+ * boards may use at most the pieces in the box. Files that cannot be read or solved are
+ * listed with their error.
+ *
+ * @param {{
+ *   onResult?: (result: BatchResult, index: Number, fileCount: Number) => void,
+ *   signal?: AbortSignal
+ * }} [options]
+ * @returns {Promise<{ summaryPath: string, summary: string, results: BatchResult[] } | undefined>} nothing if the dialog was cancelled
+ */
+export async function solveFolder(options) {
+  const dir = await open({ title: 'Solve all the boards in a folder', directory: true })
+  if (!dir) return undefined
+  const names = (await readDir(dir))
+    .filter(entry => entry.isFile && /\.(txt|json)$/i.test(entry.name))
+    .map(entry => entry.name)
+    .sort()
+  const paths = await Promise.all(names.map(name => join(dir, name)))
+  /** @type {BatchResult[]} */
+  const results = []
+  for (const path of paths) {
+    options?.signal?.throwIfAborted()
+    const start = performance.now()
+    /** @type {BatchResult} */
+    let result
+    try {
+      const text = await readTextFile(path)
+      const { board, pieceCounts, atMost, allowFlips, pieceSet } = parseBoardFile(path, text)
+      const { total, byPieceCount } = await countInWorker(board, pieceCounts, {
+        atMost,
+        allowFlips,
+        pieceSet,
+        signal: options?.signal
+      })
+      const tileCount = board.split('').filter(c => c !== ' ' && c !== '\n').length
+      result = { path, tileCount, total, byPieceCount, seconds: (performance.now() - start) / 1000 }
+    } catch (e) {
+      if (options?.signal?.aborted) throw e
+      result = { path, seconds: (performance.now() - start) / 1000, error: e instanceof Error ? e.message : `${e}` }
+    }
+    results.push(result)
+    options?.onResult?.(result, results.length - 1, paths.length)
+  }
+
+  const summary = summarize(dir, results)
+  const summaryPath = await join(dir, 'summary.md')
+  await writeTextFile(summaryPath, summary)
+  return { summaryPath, summary, results }
+}
+
+/**
+ * Describes the results of `solveFolder()` as a Markdown table, with one
+ * row per board and combination of pieces
+ *
+ * @param {string} dir
+ * @param {BatchResult[]} results
+ * @returns {string}
+ */
+export function summarize(dir, results) {
+  const seconds = results.reduce((sum, result) => sum + result.seconds, 0)
+  const lines = [
+    `# Solutions of the boards in ${dir}`,
+    '',
+    `${results.length} board${results.length === 1 ? '' : 's'}, ${seconds.toFixed(2)} s in total.`,
+    '',
+    '| Board | Tiles | Pieces | Solutions | Time |',
+    '|---|--:|---|--:|--:|'
+  ]
+  for (const { path, tileCount, byPieceCount, total, seconds, error } of results) {
+    const name = path.split(/[\\/]/).pop()
+    const time = `${seconds.toFixed(2)} s`
+    if (error || !byPieceCount) lines.push(`| ${name} | | error: ${(error ?? '').replace(/\|/g, '\\|')} | | ${time} |`)
+    else if (byPieceCount.length === 0) lines.push(`| ${name} | ${tileCount} | | 0 | ${time} |`)
+    else {
+      byPieceCount.forEach(({ pieceCount, count }, k) => lines.push(k === 0
+        ? `| ${name} | ${tileCount} | ${pieceCount.join(', ')} | ${count} | ${time} |`
+        : `| | | ${pieceCount.join(', ')} | ${count} | |`))
+      if (byPieceCount.length > 1) lines.push(`| | | all | ${total} | |`)
+    }
+  }
+  return `${lines.join('\n')}\n`
+}
@@ -0,0 +1,160 @@
+/*
+ * Exact cover via Algorithm X, using Dancing Links
+ *
+ * See Donald E. Knuth, "Dancing Links", https://arxiv.org/abs/cs/0011047
+ *
+ * Given a set of columns and a set of rows (each covering a subset of the
+ * columns), find all selections of rows that cover every column exactly
+ * once.
+ *
+ * To model an inventory of pieces, each row also belongs to a group (the
+ * piece type), and at most `limits[group]` rows of each group may be
+ * selected. This is checked while searching rather than modeled as
+ * columns, because the pieces do not have to be used up.
+ *
+ * The links are stored in typed arrays, node 0 being the root, nodes
+ * 1..columnCount the column headers, and the remaining nodes the 1s of
+ * the rows.
+ */
+
+export class DancingLinks {
+  /**
+   * @param {Number} columnCount
+   * @param {{ columns: Number[], group: Number }[]} rows
+   */
+  constructor(columnCount, rows) {
+    const size = 1 + columnCount + rows.reduce((n, row) => n + row.columns.length, 0)
+    this.left = new Int32Array(size)
+    this.right = new Int32Array(size)
+    this.up = new Int32Array(size)
+    this.down = new Int32Array(size)
+    this.column = new Int32Array(size)
+    this.row = new Int32Array(size)
+    this.sizes = new Int32Array(columnCount + 1)
+    this.groups = rows.map(row => row.group)
+
+    for (let c = 0; c <= columnCount; c++) {
+      this.left[c] = c === 0 ? columnCount : c - 1
+      this.right[c] = c === columnCount ? 0 : c + 1
+      this.up[c] = this.down[c] = this.column[c] = c
+    }
+
+    let node = columnCount + 1
+    rows.forEach((row, index) => {
+      const first = node
+      for (const c of row.columns) {
+        const col = c + 1
+        this.column[node] = col
+        this.row[node] = index
+        // Append to the column
+        this.up[node] = this.up[col]
+        this.down[node] = col
+        this.down[this.up[col]] = node
+        this.up[col] = node
+        this.sizes[col]++
+        // Append to the row
+        this.left[node] = node === first ? node : node - 1
+        this.right[node] = first
+        this.right[this.left[node]] = node
+        this.left[first] = node
+        node++
+      }
+    })
+  }
+
+  /**
+   * @param {Number} c
+   */
+  cover(c) {
+    this.right[this.left[c]] = this.right[c]
+    this.left[this.right[c]] = this.left[c]
+    for (let i = this.down[c]; i !== c; i = this.down[i]) {
+      for (let j = this.right[i]; j !== i; j = this.right[j]) {
+        this.down[this.up[j]] = this.down[j]
+        this.up[this.down[j]] = this.up[j]
+        this.sizes[this.column[j]]--
+      }
+    }
+  }
+
+  /**
+   * @param {Number} c
+   */
+  uncover(c) {
+    for (let i = this.up[c]; i !== c; i = this.up[i]) {
+      for (let j = this.left[i]; j !== i; j = this.left[j]) {
+        this.sizes[this.column[j]]++
+        this.down[this.up[j]] = j
+        this.up[this.down[j]] = j
+      }
+    }
+    this.right[this.left[c]] = c
+    this.left[this.right[c]] = c
+  }
+
+  /**
+   * Removes the given columns (and the rows that cover them) up front,
+   * e.g. because they are covered already
+   *
+   * @param {Number[]} columns
+   */
+  coverColumns(columns) {
+    for (const c of columns) this.cover(c + 1)
+  }
+
+  /**
+   * Searches for exact covers
+   *
+   * Yields each solution as the list of the selected rows' indices, and
+   * `null` every `state.progressInterval` search nodes. If given,
+   * `state.rejects` can veto a selection of rows as soon as a row is added
+   * to it, for restrictions that cannot be modeled as columns.
+   *
+   * @param {{
+   *   limits: Number[],
+   *   selected: Number[],
+   *   nodes: Number,
+   *   onProgress?: (nodes: Number) => void,
+   *   progressInterval: Number,
+   *   rejects?: (selected: Number[]) => boolean
+   * }} state
+   * @returns {Generator<Number[] | null, void, undefined>}
+   */
+  *search(state) {
+    if (this.right[0] === 0) {
+      yield [...state.selected]
+      return
+    }
+
+    // Choose the column with the fewest candidates
+    let c = this.right[0]
+    for (let j = this.right[c]; j !== 0; j = this.right[j]) {
+      if (this.sizes[j] < this.sizes[c]) c = j
+    }
+    if (this.sizes[c] === 0) return
+
+    this.cover(c)
+    for (let r = this.down[c]; r !== c; r = this.down[r]) {
+      const group = this.groups[this.row[r]]
+      if (state.limits[group] === 0) continue
+
+      state.limits[group]--
+      state.selected.push(this.row[r])
+      if (state.rejects?.(state.selected)) {
+        state.selected.pop()
+        state.limits[group]++
+        continue
+      }
+      for (let j = this.right[r]; j !== r; j = this.right[j]) this.cover(this.column[j])
+      if (++state.nodes % state.progressInterval === 0) {
+        state.onProgress?.(state.nodes)
+        yield null
+      }
+      yield* this.search(state)
+      for (let j = this.left[r]; j !== r; j = this.left[j]) this.uncover(this.column[j])
+      state.selected.pop()
+      state.limits[group]++
+    }
+    this.uncover(c)
+  }
+}
@@ -0,0 +1,84 @@
+/*
+ * Saving and printing the images exported from the page
+ *
+ * In the browser, files are offered for download; in the desktop app,
+ * they are saved in the Downloads folder by the `save_export` command
+ * (see `src-tauri/src/lib.rs`).
+ */
+import { invoke, isTauri } from '@tauri-apps/api/core'
+
+/**
+ * Rasterizes an SVG document
+ *
+ * @param {string} svg a standalone SVG document whose `width` and `height` are in pixels
+ * @returns {Promise<Blob>} the PNG image
+ */
+export async function svgToPNG(svg) {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+  try {
+    const image = new Image()
+    image.src = url
+    await image.decode()
+    const canvas = document.createElement('canvas')
+    canvas.width = image.naturalWidth
+    canvas.height = image.naturalHeight
+    const context = canvas.getContext('2d')
+    if (!context) throw new Error('Could not create the PNG image')
+    context.drawImage(image, 0, 0)
+    return await new Promise((resolve, reject) => canvas.toBlob(
+      blob => blob ? resolve(blob) : reject(new Error('Could not create the PNG image')),
+      'image/png'
+    ))
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+/**
+ * Saves a file
+ *
+ * @param {string} name the file name
+ * @param {Blob | string} data the contents; strings are saved as SVG documents
+ * @returns {Promise<string | undefined>} the path of the saved file, if known
+ */
+export async function saveFile(name, data) {
+  const blob = typeof data === 'string' ? new Blob([data], { type: 'image/svg+xml' }) : data
+  if (isTauri()) {
+    const contents = Array.from(new Uint8Array(await blob.arrayBuffer()))
+    return /** @type {string} */ (await invoke('save_export', { name, contents }))
+  }
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  // Give the browser a chance to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+  return undefined
+}
+
+/**
+ * Prints an SVG document, scaled to the width of the page
+ *
+ * @param {string} svg a standalone SVG document
+ */
+export function printSVG(svg) {
+  const frame = document.createElement('iframe')
+  // Hidden frames (`display: none`) are not printed by all browsers
+  frame.style.position = 'fixed'
+  frame.style.width = '0'
+  frame.style.height = '0'
+  frame.style.border = '0'
+  frame.srcdoc = `<!DOCTYPE html>
+<html>
+  <head><style>@page { margin: 1cm; } svg { width: 100%; height: auto; }</style></head>
+  <body>${svg}</body>
+</html>`
+  frame.onload = () => {
+    const view = frame.contentWindow
+    if (!view) return
+    view.addEventListener('afterprint', () => frame.remove())
+    view.print()
+  }
+  document.body.append(frame)
+}
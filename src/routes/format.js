@@ -0,0 +1,158 @@
+/*
+ * A versioned JSON format for boards and their solutions
+ *
+ * The moves used internally (`[x, y, i, j]`) refer to the index `j` of a
+ * rotation in the piece's list of distinct rotations, which depends on
+ * the piece's symmetries. The format described here spells placements
+ * out instead:
+ *
+ *   {
+ *     "format": "kangourou-knot-puzzle",
+ *     "version": 1,
+ *     "board": [" XXX", " X X", "XX XX", "XXXXX"],
+ *     "pieceCounts": [2, 6, 4, 2, 2],
+ *     "atMost": false,
+ *     "allowFlips": false,
+ *     "pieceSet": { "name": ..., "pieces": [...] },
+ *     "solutions": [
+ *       [{ "x": 1, "y": 0, "piece": 1, "rotation": 90, "mirrored": false }, ...],
+ *       ...
+ *     ]
+ *   }
+ *
+ * - `board` lists the rows of the board, `X` marking a tile
+ * - `pieceCounts` (optional) says how many pieces of each type are to be
+ *   used: exactly, or at most if `atMost` is set; without it, at most the
+ *   pieces of the piece set may be used
+ * - `allowFlips` (optional) says whether pieces may be flipped over
+ * - `pieceSet` (optional) is a piece set definition as described in
+ *   `pieces.js`; without it, the pieces of the Kangourou knot puzzle are
+ *   used
+ * - each placement of a `solutions` entry puts the piece with the given
+ *   (0-based) index, mirrored left-right if `mirrored` is set, then
+ *   rotated counter-clockwise by `rotation` degrees (0, 90, 180 or 270),
+ *   so that the upper-left corner of its bounding box is in column `x`
+ *   and row `y` of the board
+ *
+ * Readers must reject documents with a `version` they do not know.
+ */
+import { KangourouKnotPuzzle } from './puzzle.js'
+import { defaultPieceSet } from './pieces.js'
+
+export const FORMAT_NAME = 'kangourou-knot-puzzle'
+export const FORMAT_VERSION = 1
+
+/**
+ * @typedef {{
+ *   x: Number,
+ *   y: Number,
+ *   piece: Number,
+ *   rotation: Number,
+ *   mirrored?: boolean
+ * }} Placement
+ *
+ * @typedef {{
+ *   format: string,
+ *   version: Number,
+ *   board: string[],
+ *   pieceCounts?: Number[],
+ *   atMost?: boolean,
+ *   allowFlips?: boolean,
+ *   pieceSet?: import('./pieces.js').PieceSetDefinition,
+ *   solutions?: Placement[][]
+ * }} PuzzleDocument
+ */
+
+/**
+ * Converts a move to a placement
+ *
+ * @param {KangourouKnotPuzzle} puzzle
+ * @param {Number[]} move
+ * @returns {Placement}
+ */
+export function moveToPlacement(puzzle, move) {
+  const [x, y, i, j] = move
+  const rotation = puzzle.pieceSet.pieces[i]?.rotations[j]
+  if (!rotation) throw new Error(`Invalid move: ${move}`)
+  return { x, y, piece: i, rotation: rotation.angle, mirrored: rotation.mirrored }
+}
+
+/**
+ * Converts a placement to a move
+ *
+ * @param {KangourouKnotPuzzle} puzzle
+ * @param {Placement} placement
+ * @returns {Number[]}
+ */
+export function placementToMove(puzzle, placement) {
+  const { x, y, piece, rotation, mirrored } = placement ?? {}
+  const orientations = puzzle.pieceSet.pieces[piece]?.orientations
+  if (!orientations) throw new Error(`Invalid placement: unknown piece ${piece}`)
+  if (![0, 90, 180, 270].includes(rotation)) throw new Error(`Invalid placement: rotation must be 0, 90, 180 or 270, got ${rotation}`)
+  if (!Number.isInteger(x) || !Number.isInteger(y)) throw new Error(`Invalid placement: x and y must be integers, got ${x}, ${y}`)
+  return [x, y, piece, orientations[rotation / 90 + (mirrored ? 4 : 0)]]
+}
+
+/**
+ * Describes the puzzle and the given solutions as a document
+ *
+ * @param {KangourouKnotPuzzle} puzzle
+ * @param {Number[][][]} [solutions]
+ * @param {{ pieceCounts?: Number[], atMost?: boolean }} [options]
+ * @returns {PuzzleDocument}
+ */
+export function toDocument(puzzle, solutions, options) {
+  return {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    board: puzzle.board.split('\n'),
+    ...(options?.pieceCounts ? { pieceCounts: options.pieceCounts, atMost: !!options.atMost } : {}),
+    allowFlips: puzzle.allowFlips,
+    ...(puzzle.pieceSet === defaultPieceSet ? {} : { pieceSet: puzzle.pieceSet.definition }),
+    ...(solutions ? { solutions: solutions.map(solution => solution.map(move => moveToPlacement(puzzle, move))) } : {})
+  }
+}
+
+/**
+ * Reads a document
+ *
+ * @param {PuzzleDocument | string} document the document, or its JSON representation
+ * @returns {{
+ *   puzzle: KangourouKnotPuzzle,
+ *   pieceCounts?: Number[],
+ *   atMost: boolean,
+ *   solutions: Number[][][]
+ * }}
+ */
+export function fromDocument(document) {
+  if (typeof document === 'string') document = /** @type {PuzzleDocument} */ (JSON.parse(document))
+  if (document?.format !== FORMAT_NAME) throw new Error(`Invalid puzzle document: expected \`format\` to be "${FORMAT_NAME}"`)
+  if (document.version !== FORMAT_VERSION) throw new Error(`Unsupported puzzle document version: ${document.version}`)
+  if (!Array.isArray(document.board) || document.board.length === 0 || document.board.some(row => typeof row !== 'string')) {
+    throw new Error('Invalid puzzle document: expected `board` to be a non-empty array of strings')
+  }
+  if (document.pieceCounts !== undefined &&
+    (!Array.isArray(document.pieceCounts) || document.pieceCounts.some(count => !Number.isInteger(count) || count < 0))) {
+    throw new Error('Invalid puzzle document: expected `pieceCounts` to be an array of non-negative integers')
+  }
+  if (document.solutions !== undefined && (!Array.isArray(document.solutions) || document.solutions.some(solution => !Array.isArray(solution)))) {
+    throw new Error('Invalid puzzle document: expected `solutions` to be an array of arrays')
+  }
+
+  const puzzle = new KangourouKnotPuzzle(document.board.join('\n'), {
+    pieceSet: document.pieceSet,
+    allowFlips: !!document.allowFlips
+  })
+  return {
+    puzzle,
+    pieceCounts: document.pieceCounts,
+    atMost: !!document.atMost,
+    solutions: (document.solutions || []).map((solution, index) => solution.map(placement => {
+      try {
+        return placementToMove(puzzle, placement)
+      } catch (e) {
+        throw new Error(`Solution #${index + 1}: ${e instanceof Error ? e.message : e}`)
+      }
+    }))
+  }
+}
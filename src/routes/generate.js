@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/*
+ * Command-line interface for the challenge generator (see `generator.js`)
+ *
+ * Prints the generated board in the ASCII format accepted by
+ * `KangourouKnotPuzzle`, followed by the piece counts and the seed.
+ *
+ * Exit codes: 0 if a board was generated, 1 if none was found within the
+ * given number of attempts, 2 if the input was invalid.
+ */
+import { readFileSync, writeFileSync } from 'node:fs'
+import { parseArgs } from 'node:util'
+import { loadPieceSet, defaultPieceSet } from './pieces.js'
+import { generateChallenge } from './generator.js'
+import { EXIT_SOLVED, EXIT_NO_SOLUTION, EXIT_INVALID_INPUT, UsageError, parsePieceCounts } from './cli.js'
+
+const usage = `usage: npm run generate -- [<options>]
+
+Generates a board that can be covered in exactly one way.
+
+Options:
+  --seed <n>              the random seed (default: derived from the time)
+  --pieces <counts>       the pieces that may be used, e.g. 2,6,4,2,2
+                          (default: the pieces in the box)
+  --piece-set <file>      load custom piece definitions from a JSON file
+  --min-tiles <n>         the minimal size of the board (default: 4)
+  --max-tiles <n>         the maximal size of the board (default: 12)
+  --fit <width>x<height>  the board must fit into this box
+  --no-holes              do not generate boards with holes
+  --symmetric <kind>      only generate symmetric boards: mirror or rotation
+  --up-to-symmetry        accept boards whose solutions are rotations of
+                          one another
+  --attempts <n>          how many shapes to try (default: 1000)
+  --json                  print the result as JSON
+  --svg <prefix>          write <prefix>-board.svg and <prefix>-solution.svg
+  -h, --help              show this help`
+
+/**
+ * Parses a positive integer option
+ *
+ * @param {string | undefined} value
+ * @param {string} name
+ * @returns {Number | undefined}
+ */
+const parseNumber = (value, name) => {
+  if (value === undefined) return undefined
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 0) throw new UsageError(`Invalid --${name}: ${value}`)
+  return number
+}
+
+/**
+ * Runs the command-line interface
+ *
+ * @param {string[]} args
+ * @returns {Number} the exit code
+ */
+export function main(args) {
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        seed: { type: 'string' },
+        pieces: { type: 'string' },
+        'piece-set': { type: 'string' },
+        'min-tiles': { type: 'string' },
+        'max-tiles': { type: 'string' },
+        fit: { type: 'string' },
+        'no-holes': { type: 'boolean' },
+        symmetric: { type: 'string' },
+        'up-to-symmetry': { type: 'boolean' },
+        attempts: { type: 'string' },
+        json: { type: 'boolean' },
+        svg: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      }
+    })
+
+    if (values.help) {
+      console.log(usage)
+      return EXIT_SOLVED
+    }
+    if (positionals.length > 0) throw new UsageError('Too many arguments')
+
+    const fit = values.fit?.match(/^(\d+)x(\d+)$/)
+    if (values.fit !== undefined && !fit) throw new UsageError(`Invalid --fit: ${values.fit}`)
+    if (values.symmetric !== undefined && values.symmetric !== 'mirror' && values.symmetric !== 'rotation') {
+      throw new UsageError(`Invalid --symmetric: ${values.symmetric}`)
+    }
+    const definition = values['piece-set'] && JSON.parse(readFileSync(values['piece-set'], 'utf8'))
+    const pieceSet = definition ? loadPieceSet(definition) : defaultPieceSet
+
+    const challenge = generateChallenge({
+      seed: parseNumber(values.seed, 'seed'),
+      pieceCounts: values.pieces === undefined ? undefined : parsePieceCounts(values.pieces, pieceSet.pieces.length),
+      pieceSet: definition || undefined,
+      minTiles: parseNumber(values['min-tiles'], 'min-tiles'),
+      maxTiles: parseNumber(values['max-tiles'], 'max-tiles'),
+      width: fit ? Number(fit[1]) : undefined,
+      height: fit ? Number(fit[2]) : undefined,
+      noHoles: values['no-holes'],
+      symmetric: /** @type {'mirror' | 'rotation' | undefined} */ (values.symmetric),
+      upToSymmetry: values['up-to-symmetry'],
+      maxAttempts: parseNumber(values.attempts, 'attempts')
+    })
+
+    if (!challenge) {
+      if (values.json) console.log('null')
+      else console.log('No board found; try more --attempts or other constraints.')
+      return EXIT_NO_SOLUTION
+    }
+
+    if (values.svg) {
+      writeFileSync(`${values.svg}-board.svg`, challenge.svg)
+      writeFileSync(`${values.svg}-solution.svg`, challenge.solutionSVG)
+    }
+    if (values.json) {
+      const { board, pieceCounts, solution, seed } = challenge
+      console.log(JSON.stringify({ board, pieceCounts, solution, seed }))
+    } else {
+      console.log(`${challenge.board}\n\nPieces: ${challenge.pieceCounts.join(',')}\nSeed: ${challenge.seed}`)
+    }
+    return EXIT_SOLVED
+  } catch (e) {
+    console.error(`error: ${e instanceof Error ? e.message : e}`)
+    if (e instanceof UsageError || `${/** @type {any} */ (e)?.code}`.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`\n${usage}`)
+    }
+    return EXIT_INVALID_INPUT
+  }
+}
+
+if (typeof process !== 'undefined' && import.meta?.url?.endsWith(process.argv[1]?.replace(/\\/g, '/'))) {
+  process.exitCode = main(process.argv.slice(2))
+}
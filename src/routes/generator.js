@@ -0,0 +1,238 @@
+/*
+ * Generates new challenges: boards that can be covered in exactly one way
+ *
+ * The generator grows random board shapes tile by tile, then uses
+ * `KangourouKnotPuzzle.countSolutions()` to find out which combinations
+ * of the available pieces cover the shape, and how many ways there are
+ * to do so. Any combination with exactly one solution (optionally: up to
+ * the board's symmetries) makes a challenge.
+ *
+ * All randomness comes from a seeded generator, so the same options and
+ * seed always produce the same challenge.
+ */
+import { KangourouKnotPuzzle } from './puzzle.js'
+
+/**
+ * @typedef {{
+ *   seed?: Number,
+ *   pieceCounts?: Number[],
+ *   minTiles?: Number,
+ *   maxTiles?: Number,
+ *   width?: Number,
+ *   height?: Number,
+ *   noHoles?: boolean,
+ *   symmetric?: 'mirror' | 'rotation',
+ *   upToSymmetry?: boolean,
+ *   maxAttempts?: Number,
+ *   tileSize?: Number,
+ *   pieceSet?: import('./pieces.js').PieceSetDefinition
+ * }} GeneratorOptions
+ *
+ * @typedef {{
+ *   board: string,
+ *   pieceCounts: Number[],
+ *   solution: Number[][],
+ *   svg: string,
+ *   solutionSVG: string,
+ *   seed: Number,
+ *   attempts: Number
+ * }} GeneratedChallenge
+ */
+
+/**
+ * Returns a seeded pseudo-random number generator (Mulberry32) yielding
+ * numbers in [0, 1)
+ *
+ * @param {Number} seed
+ * @returns {() => Number}
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Grows a random connected shape of `size` tiles inside a `width` x
+ * `height` box
+ *
+ * If `symmetric` is given, each added tile is accompanied by its mirror
+ * image (left-right) or by its image under a rotation by 180°, so that the
+ * shape can end up slightly larger than `size`.
+ *
+ * @param {() => Number} random
+ * @param {Number} size
+ * @param {Number} width
+ * @param {Number} height
+ * @param {'mirror' | 'rotation'} [symmetric]
+ * @returns {boolean[][]} the rows of the box, `true` marking a tile
+ */
+const growShape = (random, size, width, height, symmetric) => {
+  const grid = Array.from({ length: height }, () => Array(width).fill(false))
+  /** @type {(x: Number, y: Number) => Number[][]} */
+  const images = (x, y) => !symmetric ? [[x, y]]
+    : [[x, y], symmetric === 'mirror' ? [width - 1 - x, y] : [width - 1 - x, height - 1 - y]]
+  let count = 0
+  /** @type {(x: Number, y: Number) => void} */
+  const add = (x, y) => {
+    for (const [u, v] of images(x, y)) {
+      if (!grid[v][u]) count++
+      grid[v][u] = true
+    }
+  }
+
+  add(Math.floor(random() * width), Math.floor(random() * height))
+  while (count < size) {
+    /** @type {Number[][]} */
+    const candidates = []
+    grid.forEach((row, y) => row.forEach((tile, x) => {
+      if (tile) return
+      if (grid[y - 1]?.[x] || grid[y + 1]?.[x] || row[x - 1] || row[x + 1]) candidates.push([x, y])
+    }))
+    if (candidates.length === 0) break
+    const [x, y] = candidates[Math.floor(random() * candidates.length)]
+    add(x, y)
+  }
+  return grid
+}
+
+/**
+ * Tests whether the tiles of the shape are connected, and (optionally)
+ * whether the shape has no holes, i.e. no empty cells that are cut off
+ * from the outside
+ *
+ * @param {boolean[][]} grid
+ * @param {boolean} noHoles
+ * @returns {boolean}
+ */
+const isValidShape = (grid, noHoles) => {
+  const height = grid.length
+  const width = grid[0].length
+  /**
+   * Flood-fills the cells (including a one-cell margin around the box)
+   * whose `tile` state matches, starting at the given cell
+   *
+   * @param {Number} x
+   * @param {Number} y
+   * @param {boolean} tile
+   * @returns {Set<string>}
+   */
+  const fill = (x, y, tile) => {
+    const seen = new Set([`${x},${y}`])
+    const stack = [[x, y]]
+    while (stack.length > 0) {
+      const [u, v] = /** @type {Number[]} */ (stack.pop())
+      for (const [nu, nv] of [[u - 1, v], [u + 1, v], [u, v - 1], [u, v + 1]]) {
+        if (nu < -1 || nu > width || nv < -1 || nv > height || seen.has(`${nu},${nv}`)) continue
+        if ((grid[nv]?.[nu] ?? false) !== tile) continue
+        seen.add(`${nu},${nv}`)
+        stack.push([nu, nv])
+      }
+    }
+    return seen
+  }
+
+  const tiles = grid.flatMap((row, y) => row.flatMap((tile, x) => tile ? [[x, y]] : []))
+  if (tiles.length === 0 || fill(tiles[0][0], tiles[0][1], true).size !== tiles.length) return false
+  if (!noHoles) return true
+  const empty = (width + 2) * (height + 2) - tiles.length
+  return fill(-1, -1, false).size === empty
+}
+
+/**
+ * Converts a shape to the ASCII format accepted by `KangourouKnotPuzzle`,
+ * trimmed to its bounding box
+ *
+ * @param {boolean[][]} grid
+ * @returns {string}
+ */
+const shapeToBoard = grid => {
+  const rows = grid.filter(row => row.includes(true))
+  const left = Math.min(...rows.map(row => row.indexOf(true)))
+  const right = Math.max(...rows.map(row => row.lastIndexOf(true)))
+  return rows.map(row => row.slice(left, right + 1).map(tile => tile ? 'X' : ' ').join('')).join('\n')
+}
+
+/**
+ * Searches for a board with exactly one solution
+ *
+ * Options:
+ *
+ * - `seed`: the random seed (default: derived from the current time; the
+ *   seed is part of the result so that it can be reproduced)
+ * - `pieceCounts`: the pieces that may be used (default: those of the
+ *   piece set)
+ * - `minTiles`, `maxTiles`: the size limits of the board, in tiles
+ *   (default: 4 to 12)
+ * - `width`, `height`: the box the board must fit into (default: as wide
+ *   and as high as `maxTiles`)
+ * - `noHoles`: reject boards with holes
+ * - `symmetric`: only generate boards that are mirror-symmetric
+ *   (left-right) or look the same when rotated by 180°
+ * - `upToSymmetry`: accept boards whose solutions are all rotations (or
+ *   reflections) of one another
+ * - `maxAttempts`: how many shapes to try before giving up (default: 1000)
+ * - `tileSize`: the size of a tile in the SVGs of the board and the
+ *   solution, in pixels (default: 64)
+ *
+ * @param {GeneratorOptions} [options]
+ * @returns {GeneratedChallenge | undefined} the challenge, or `undefined` if none was found
+ */
+export function generateChallenge(options) {
+  const seed = options?.seed ?? Date.now() % 4294967296
+  const random = seededRandom(seed)
+  const minTiles = options?.minTiles ?? 4
+  const maxTiles = options?.maxTiles ?? 12
+  const width = options?.width ?? maxTiles
+  const height = options?.height ?? maxTiles
+  const maxAttempts = options?.maxAttempts ?? 1000
+  const tileSize = options?.tileSize ?? 64
+  if (minTiles < 1 || maxTiles < minTiles) throw new Error(`Invalid size limits: ${minTiles} to ${maxTiles} tiles`)
+  if (width < 1 || height < 1) throw new Error(`Invalid box: ${width}x${height}`)
+
+  for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+    const size = minTiles + Math.floor(random() * (Math.min(maxTiles, width * height) - minTiles + 1))
+    const grid = growShape(random, size, width, height, options?.symmetric)
+    const tileCount = grid.flat().filter(tile => tile).length
+    if (tileCount < minTiles || tileCount > maxTiles || !isValidShape(grid, !!options?.noHoles)) continue
+
+    const puzzle = new KangourouKnotPuzzle(shapeToBoard(grid), { pieceSet: options?.pieceSet })
+    const available = options?.pieceCounts ?? puzzle.defaultPieceCounts()
+    if (puzzle.diagnose(available, { atMost: true }).length > 0) continue
+
+    const candidates = puzzle.countSolutions(available, { atMost: true }).byPieceCount
+      .filter(({ count }) => count === 1 || (options?.upToSymmetry && count <= puzzle.symmetries.length))
+      .map(({ pieceCount }) => ({ pieceCount, solutions: puzzle.solve(pieceCount, { distinct: options?.upToSymmetry }) }))
+      .filter(({ solutions }) => solutions.length === 1)
+    if (candidates.length === 0) continue
+
+    const { pieceCount, solutions: [solution] } = candidates[Math.floor(random() * candidates.length)]
+    return {
+      board: puzzle.board,
+      pieceCounts: pieceCount,
+      solution,
+      svg: KangourouKnotPuzzle.toSVG({
+        width: puzzle.width,
+        height: puzzle.height,
+        board: puzzle.board,
+        pieceSet: puzzle.pieceSet,
+        tileSize
+      }),
+      solutionSVG: KangourouKnotPuzzle.toSVG({
+        width: puzzle.width,
+        height: puzzle.height,
+        solution,
+        pieceSet: puzzle.pieceSet,
+        tileSize
+      }),
+      seed,
+      attempts
+    }
+  }
+  return undefined
+}
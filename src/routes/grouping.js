@@ -0,0 +1,123 @@
+/*
+ * Groups solutions that differ only in small parts of the board
+ *
+ * Two solutions are similar if they cover at most `maxTiles` tiles
+ * differently (see `KangourouKnotPuzzle.compareSolutions()`); with
+ * `maxTiles` = 0, only solutions that differ merely in the types of pieces
+ * of the same shape are. The groups are the classes of the equivalence
+ * relation generated by similarity, i.e. a chain of similar solutions ends
+ * up in one group.
+ *
+ * Solutions can be added one at a time, e.g. as a search finds them: each
+ * new solution is compared once with the solutions added before, using
+ * the shape keys and tiles of its pieces, which are worked out only once.
+ */
+
+export class SolutionGrouper {
+  /**
+   * @param {import('./puzzle.js').KangourouKnotPuzzle} puzzle
+   * @param {Number} [maxTiles] (default: 4)
+   */
+  constructor(puzzle, maxTiles = 4) {
+    this.puzzle = puzzle
+    this.maxTiles = maxTiles
+    /**
+     * The solutions added so far, in order
+     *
+     * @type {Number[][][]}
+     */
+    this.solutions = []
+    // The pieces of each solution, by shape key (see `shapeKey()`), with the tiles they cover as a bitmask
+    /** @type {Map<string, bigint>[]} */
+    this.pieces = []
+    // A union-find structure over the solutions
+    /** @type {Number[]} */
+    this.parent = []
+    /** @type {Map<Number[][], Number>} */
+    this.indices = new Map()
+  }
+
+  /**
+   * Adds a solution, unless it was added already
+   *
+   * @param {Number[][]} solution
+   * @returns {Number} the index of the solution
+   */
+  add(solution) {
+    const known = this.indices.get(solution)
+    if (known !== undefined) return known
+
+    const index = this.solutions.length
+    const pieces = new Map(solution.map(move => [this.puzzle.shapeKey(move), this.tileBits(move)]))
+    this.solutions.push(solution)
+    this.pieces.push(pieces)
+    this.parent.push(index)
+    this.indices.set(solution, index)
+    for (let a = 0; a < index; a++) {
+      if (this.find(a) !== this.find(index) && this.similar(this.pieces[a], pieces)) {
+        this.parent[this.find(index)] = this.find(a)
+      }
+    }
+    return index
+  }
+
+  /**
+   * Returns the groups
+   *
+   * @returns {Number[][]} the indices of the solutions in each group, in order
+   */
+  groups() {
+    /** @type {Map<Number, Number[]>} */
+    const groups = new Map()
+    this.solutions.forEach((_, index) => {
+      const root = this.find(index)
+      const group = groups.get(root)
+      if (group) group.push(index)
+      else groups.set(root, [index])
+    })
+    return [...groups.values()]
+  }
+
+  /**
+   * @param {Number} index
+   * @returns {Number} the index of the solution representing the group
+   */
+  find(index) {
+    while (this.parent[index] !== index) index = this.parent[index] = this.parent[this.parent[index]]
+    return index
+  }
+
+  /**
+   * Returns the tiles covered by the given move, one bit per tile (in reading order)
+   *
+   * @param {Number[]} move
+   * @returns {bigint}
+   */
+  tileBits(move) {
+    return this.puzzle.moveToSubTiles(move)
+      .reduce((bits, [u, v]) => bits | 1n << BigInt(Math.floor(v / 2) * this.puzzle.width + Math.floor(u / 2)), 0n)
+  }
+
+  /**
+   * Tests whether two solutions cover at most `maxTiles` tiles differently
+   *
+   * @param {Map<string, bigint>} first
+   * @param {Map<string, bigint>} second
+   * @returns {boolean}
+   */
+  similar(first, second) {
+    let differing = 0n
+    // Each tile is shared by at most 4 pieces, so many differing pieces cover too many tiles
+    let budget = 4 * this.maxTiles
+    for (const [key, bits] of first) {
+      if (second.has(key)) continue
+      if (--budget < 0) return false
+      differing |= bits
+    }
+    let count = 0
+    for (; differing; differing &= differing - 1n) {
+      if (++count > this.maxTiles) return false
+    }
+    return true
+  }
+}
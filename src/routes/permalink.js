@@ -0,0 +1,106 @@
+/*
+ * Encodes the state of the page in the URL hash, so that it survives a
+ * reload and can be shared
+ *
+ * The hash looks like `#b=4.3.f.e.e&p=2,6,4,2,2&s=3&f=1&d=1`, where
+ *
+ * - `b` is the board: its width, followed by one number per row (in base
+ *   36) whose bit `x` is set if the row has a tile in column `x`
+ * - `p` are the piece counts (omitted if the pieces in the box may be used)
+ * - `a` is set if the piece counts are upper bounds rather than exact
+ * - `s` is the index of the selected solution (omitted if 0)
+ * - `f` is set if flipped pieces are allowed
+ * - `d` is set if only solutions that are distinct up to symmetry are listed
+ *
+ * Everything is computed in the browser, no server is involved.
+ */
+import { defaultPieceSet } from './pieces.js'
+
+/**
+ * @typedef {{
+ *   board: string,
+ *   pieceCounts?: Number[],
+ *   atMost?: boolean,
+ *   solutionIndex?: Number,
+ *   allowFlips?: boolean,
+ *   distinct?: boolean
+ * }} Permalink
+ */
+
+/**
+ * Encodes a board in the ASCII format accepted by `KangourouKnotPuzzle`
+ *
+ * @param {string} board
+ * @returns {string}
+ */
+const encodeBoard = board => {
+  const lines = board.split('\n')
+  const width = lines.reduce((max, line) => Math.max(max, line.length), 0)
+  return [
+    width,
+    ...lines.map(line => line.split('').reduce((bits, c, x) =>
+      c === ' ' ? bits : bits | (1n << BigInt(x)), 0n).toString(36))
+  ].join('.')
+}
+
+/**
+ * Decodes a board encoded by `encodeBoard()`
+ *
+ * @param {string} value
+ * @returns {string | undefined} the board, or `undefined` if the value is malformed
+ */
+const decodeBoard = value => {
+  const [width, ...rows] = value.split('.')
+  // Refuse absurd widths rather than building huge strings
+  if (!/^\d+$/.test(width) || Number(width) > 100 || rows.length === 0 || rows.some(row => !/^[0-9a-z]+$/.test(row))) return undefined
+  // A board without tiles (e.g. one cleared in the board editor) is valid, too
+  return rows.map(row => {
+    const bits = [...row].reduce((n, digit) => n * 36n + BigInt(parseInt(digit, 36)), 0n)
+    return Array.from({ length: Number(width) }, (_, x) => bits & (1n << BigInt(x)) ? 'X' : ' ').join('')
+  }).join('\n')
+}
+
+/**
+ * Encodes the given state as a URL hash (including the leading `#`)
+ *
+ * @param {Permalink} permalink
+ * @returns {string}
+ */
+export function encodePermalink(permalink) {
+  const params = new URLSearchParams({ b: encodeBoard(permalink.board) })
+  if (permalink.pieceCounts) params.set('p', permalink.pieceCounts.join(','))
+  if (permalink.pieceCounts && permalink.atMost) params.set('a', '1')
+  if (permalink.solutionIndex) params.set('s', `${permalink.solutionIndex}`)
+  if (permalink.allowFlips) params.set('f', '1')
+  if (permalink.distinct) params.set('d', '1')
+  // Keep the commas and dots readable
+  return `#${params.toString().replace(/%2C/g, ',')}`
+}
+
+/**
+ * Decodes a URL hash created by `encodePermalink()`
+ *
+ * Malformed piece counts (including too few or too many of them) or
+ * solution indices are ignored.
+ *
+ * @param {string} hash
+ * @returns {Permalink | undefined} the state, or `undefined` if the hash does not contain a valid board
+ */
+export function decodePermalink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const board = decodeBoard(params.get('b') || '')
+  if (board === undefined) return undefined
+
+  const pieceCounts = params.get('p')?.split(',').map(Number)
+  const solutionIndex = Number(params.get('s') || 0)
+  return {
+    board,
+    // The page always uses the pieces of the Kangourou knot puzzle
+    pieceCounts: pieceCounts?.length === defaultPieceSet.pieces.length &&
+      pieceCounts.every(count => Number.isInteger(count) && count >= 0) ? pieceCounts : undefined,
+    atMost: params.get('a') === '1',
+    solutionIndex: Number.isInteger(solutionIndex) && solutionIndex >= 0 ? solutionIndex : 0,
+    allowFlips: params.get('f') === '1',
+    distinct: params.get('d') === '1'
+  }
+}
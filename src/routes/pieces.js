@@ -0,0 +1,334 @@
+/*
+ * Piece sets for the Kangourou knot puzzle solver
+ *
+ * As explained in `puzzle.js`, the pieces can be represented on a grid
+ * made by subdividing each tile into 2x2 sub-tiles. A piece set is a
+ * plain object (which can be loaded from JSON) of the following form:
+ *
+ *   {
+ *     "name": "Kangourou knot puzzle",
+ *     "pieces": [
+ *       {
+ *         "mask": ["  ", "x ", " x", "  "],
+ *         "count": 2,
+ *         "outline": "M 0,8 0,6 2,4 ... Z",
+ *         "strand": "M 1,5 L 7,11"
+ *       },
+ *       ...
+ *     ]
+ *   }
+ *
+ * Each `mask` lists the rows of sub-tiles, an `x` (or `X`) marking the
+ * sub-tiles that the piece covers. Masks with an odd number of rows or
+ * columns are padded to whole tiles. The `count` says how many pieces of
+ * that shape there are (defaulting to 1).
+ *
+ * The optional `outline` and `strand` are SVG path definitions used for
+ * rendering, in the coordinate system of the (unrotated) mask where a
+ * tile is 8 units wide. Without an `outline`, the sub-tiles are drawn as
+ * squares; without a `strand`, none is drawn.
+ *
+ * The strands of neighbouring pieces join up (see `analyzeStrands()` in
+ * `puzzle.js`): a strand starts and ends (its first and last point) in a
+ * corner of a sub-tile that the outline cuts off diagonally, one unit away
+ * from the corner, so that it continues in the sub-tile diagonally
+ * opposite. Where the mask connects two sub-tiles only diagonally, the
+ * strand is taken to pass through their common corner.
+ */
+
+/**
+ * @typedef {{
+ *   mask: string[],
+ *   count?: Number,
+ *   outline?: string,
+ *   strand?: string
+ * }} PieceDefinition
+ *
+ * @typedef {{
+ *   name?: string,
+ *   pieces: PieceDefinition[]
+ * }} PieceSetDefinition
+ *
+ * @typedef {{
+ *   cells: Number[][],
+ *   rows: bigint[],
+ *   width: Number,
+ *   height: Number,
+ *   anchorX: Number,
+ *   transform: string,
+ *   angle: Number,
+ *   mirrored: boolean,
+ *   strandEnds: Number[][],
+ *   bridges: Number[][]
+ * }} Rotation
+ *
+ * @typedef {{
+ *   rotations: Rotation[],
+ *   rotationCount: Number,
+ *   orientations: Number[],
+ *   tileCount: Number,
+ *   count: Number,
+ *   outline: string,
+ *   strand?: string
+ * }} Piece
+ *
+ * @typedef {{
+ *   name?: string,
+ *   definition: PieceSetDefinition,
+ *   pieces: Piece[]
+ * }} PieceSet
+ */
+
+/**
+ * The pieces that come with the Kangourou knot puzzle
+ *
+ * In the 2x4 sub-tile layout, they look like this:
+ *
+ *  --   --   --   --   --
+ * |  | |x | |xx| |x | |xx|
+ * |x | |x | |x | |x | |x |
+ * | x| | x| | x| | x| | x|
+ * |  | |  | |  | | x| | x|
+ *  --   --   --   --   --
+ *
+ * @type {PieceSetDefinition}
+ */
+export const kangourouPieceSet = {
+  name: 'Kangourou knot puzzle',
+  pieces: [
+    {
+      mask: ['  ', 'x ', ' x', '  '],
+      count: 2,
+      outline: 'M 0,8 0,6 2,4 4,4 4,6 6,8 8,8 8,10 6,12 4,12 4,10 2,8 Z',
+      strand: 'M 1,5 L 7,11'
+    },
+    {
+      mask: ['x ', 'x ', ' x', '  '],
+      count: 6,
+      outline: 'M 0,8 0,0 2,0 4,2 4,4 4,6 6,8 8,8 8,10 6,12 4,12 4,10 2,8 Z',
+      strand: 'M 3,1 C 2,2 0,4 3,7 4,8 4,8 7,11'
+    },
+    {
+      mask: ['xx', 'x ', ' x', '  '],
+      count: 4,
+      outline: 'M 0,8 0,0 8,0 8,2 6,4 4,4 4,6 6,8 8,8 8,10 6,12 4,12 4,10 2,8 Z',
+      strand: 'M 7,3 C 3,-1 -1,3 3,7 4,8 4,8 7,11'
+    },
+    {
+      mask: ['x ', 'x ', ' x', ' x'],
+      count: 2,
+      outline: 'M 0,8 0,0 2,0 4,2 4,4 4,6 6,8 8,8 8,16 6,16 4,14 4,10 2,8 Z',
+      strand: 'M 3,1 C 2,2 0,4 3,7 4,8 4,8 5,9 8,12 6,14 5,15'
+    },
+    {
+      mask: ['xx', 'x ', ' x', ' x'],
+      count: 2,
+      outline: 'M 0,8 0,0 8,0 8,2 6,4 4,4 4,6 6,8 8,8 8,16 6,16 4,14 4,10 2,8 Z',
+      strand: 'M 7,3 C 3,-1 -1,3 3,7 4,8 4,8 5,9 8,12 6,14 5,15'
+    },
+  ]
+}
+
+/**
+ * The rotations by 0°, 90° (counter-clockwise), 180° and 270°, as
+ * functions mapping a point inside a `width` x `height` box to the
+ * corresponding point in the rotated box, in the form of the
+ * coefficients `[a, b, c, d, e, f]` of an SVG `matrix()` transform
+ * (`x' = a x + c y + e`, `y' = b x + d y + f`).
+ *
+ * @type {((width: Number, height: Number) => Number[])[]}
+ */
+const rotationMatrices = [
+  () => [1, 0, 0, 1, 0, 0],
+  (width) => [0, -1, 1, 0, 0, width],
+  (width, height) => [-1, 0, 0, -1, width, height],
+  (_, height) => [0, 1, -1, 0, height, 0],
+]
+
+/**
+ * Combines two SVG transform matrices, applying `first` before `second`
+ *
+ * @param {Number[]} second
+ * @param {Number[]} first
+ * @returns {Number[]}
+ */
+const multiply = ([a, b, c, d, e, f], [a1, b1, c1, d1, e1, f1]) => [
+  a * a1 + c * b1,
+  b * a1 + d * b1,
+  a * c1 + c * d1,
+  b * c1 + d * d1,
+  a * e1 + c * f1 + e,
+  b * e1 + d * f1 + f
+]
+
+/**
+ * Finds the ends of a strand, as `[u, v, du, dv]`: the corner `u,v` of the
+ * sub-tile grid the strand leads to, and the diagonal direction `du,dv`
+ * (each 1 or -1) in which it leaves the piece there
+ *
+ * An end that does not lie next to a corner gets the direction `0,0`; it
+ * cannot be joined to any other strand.
+ *
+ * @param {string} strand
+ * @returns {Number[][]}
+ */
+const findStrandEnds = strand => {
+  const numbers = (strand.match(/-?\d*\.?\d+/g) || []).map(Number)
+  if (numbers.length < 4) return []
+  return [numbers.slice(0, 2), numbers.slice(-2)].map(([x, y]) => {
+    const [u, v] = [Math.round(x / 4), Math.round(y / 4)]
+    const [dx, dy] = [4 * u - x, 4 * v - y]
+    return Math.abs(dx) === Math.abs(dy) && Math.abs(dx) > 0 && Math.abs(dx) < 2
+      ? [u, v, Math.sign(dx), Math.sign(dy)]
+      : [u, v, 0, 0]
+  })
+}
+
+/**
+ * Finds the corners where two sub-tiles of the piece touch only diagonally
+ *
+ * @param {Number[][]} cells
+ * @returns {Number[][]}
+ */
+const findBridges = cells => {
+  const covered = new Set(cells.map(c => c.join(',')))
+  /** @type {(u: Number, v: Number) => boolean} */
+  const has = (u, v) => covered.has(`${u},${v}`)
+  return cells.flatMap(([u, v]) => [[u + 1, v + 1], [u, v + 1]].filter(([u1, v1]) =>
+    // The sub-tile diagonally below `u,v`, on either side
+    u1 === u + 1 ? has(u1, v1) && !has(u1, v) && !has(u, v1) : has(u - 1, v1) && !has(u - 1, v) && !has(u, v1)
+  ))
+}
+
+/**
+ * Validates the given piece set definition and pre-computes the rotations
+ *
+ * @param {PieceSetDefinition|string} definition the piece set, or its JSON representation
+ * @returns {PieceSet}
+ */
+export function loadPieceSet(definition) {
+  if (typeof definition === 'string') definition = /** @type {PieceSetDefinition} */ (JSON.parse(definition))
+  if (!Array.isArray(definition?.pieces) || definition.pieces.length === 0) {
+    throw new Error('Invalid piece set: expected a non-empty `pieces` array')
+  }
+  return {
+    name: definition.name,
+    definition,
+    pieces: definition.pieces.map((piece, index) => loadPiece(piece, index))
+  }
+}
+
+/**
+ * @param {PieceDefinition} piece
+ * @param {Number} index
+ * @returns {Piece}
+ */
+const loadPiece = (piece, index) => {
+  if (!Array.isArray(piece?.mask) || piece.mask.some(row => typeof row !== 'string')) {
+    throw new Error(`Invalid piece #${index + 1}: expected \`mask\` to be an array of strings`)
+  }
+  const count = piece.count ?? 1
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid piece #${index + 1}: \`count\` must be a non-negative integer`)
+  }
+
+  /** @type {Number[][]} */
+  const cells = []
+  piece.mask.forEach((row, v) => row.split('').forEach((c, u) => {
+    if (c === 'x' || c === 'X') cells.push([u, v])
+  }))
+  if (cells.length === 0) throw new Error(`Invalid piece #${index + 1}: the mask is empty`)
+
+  // Pad to whole tiles
+  const width = 2 * Math.ceil(piece.mask.reduce((max, row) => Math.max(max, row.length), 0) / 2)
+  const height = 2 * Math.ceil(piece.mask.length / 2)
+
+  // The rotations come first, then the rotations of the mirror image
+  // (minus those that are identical to one of the rotations)
+  const mirror = [-1, 0, 0, 1, width, 0]
+  const strandEnds = piece.strand ? findStrandEnds(piece.strand) : []
+  const bridges = piece.strand ? findBridges(cells) : []
+  /** @type {Map<string, Number>} */
+  const seen = new Map()
+  /** @type {Rotation[]} */
+  const rotations = []
+  // Which of the `rotations` each of the eight orientations ends up as
+  /** @type {Number[]} */
+  const orientations = []
+  let rotationCount = 0
+  for (const mirrored of [false, true]) {
+    rotationMatrices.forEach((f, k) => {
+      const matrix = f(width, height)
+      const rotation = rotate(cells, mirrored ? multiply(matrix, mirror) : matrix, 90 * k, mirrored, strandEnds, bridges)
+      const key = rotation.cells.map(c => c.join(',')).join(' ')
+      if (!seen.has(key)) {
+        seen.set(key, rotations.length)
+        rotations.push(rotation)
+      }
+      orientations.push(/** @type {Number} */ (seen.get(key)))
+    })
+    if (!mirrored) rotationCount = rotations.length
+  }
+
+  return {
+    rotations,
+    rotationCount,
+    orientations,
+    tileCount: cells.length,
+    count,
+    outline: piece.outline || cells.map(([u, v]) => `M ${4 * u},${4 * v} h 4 v 4 h -4 Z`).join(' '),
+    strand: piece.strand
+  }
+}
+
+/**
+ * Applies the given transformation to the sub-tiles of a piece
+ *
+ * The result is shifted by whole tiles so that its top-most row and
+ * left-most column of tiles are not empty.
+ *
+ * @param {Number[][]} cells
+ * @param {Number[]} matrix
+ * @param {Number} angle the angle of the rotation, in degrees (counter-clockwise)
+ * @param {boolean} mirrored whether the piece is mirrored (left-right) before rotating it
+ * @param {Number[][]} strandEnds as returned by `findStrandEnds()`
+ * @param {Number[][]} bridges as returned by `findBridges()`
+ * @returns {Rotation}
+ */
+const rotate = (cells, matrix, angle, mirrored, strandEnds, bridges) => {
+  const [a, b, c, d, e, f] = matrix
+  // Transform the center of each sub-tile
+  const transformed = cells.map(([u, v]) => [
+    a * (u + 0.5) + c * (v + 0.5) + e - 0.5,
+    b * (u + 0.5) + d * (v + 0.5) + f - 0.5
+  ])
+  const shiftX = 2 * Math.floor(Math.min(...transformed.map(([u]) => u)) / 2)
+  const shiftY = 2 * Math.floor(Math.min(...transformed.map(([, v]) => v)) / 2)
+  const shifted = transformed
+    .map(([u, v]) => [u - shiftX, v - shiftY])
+    .sort((p, q) => p[1] - q[1] || p[0] - q[0])
+  const width = Math.floor(Math.max(...shifted.map(([u]) => u)) / 2) + 1
+  const height = Math.floor(Math.max(...shifted.map(([, v]) => v)) / 2) + 1
+  const rows = Array(2 * height).fill(0n)
+  shifted.forEach(([u, v]) => rows[v] |= 1n << BigInt(u))
+  /** @type {(corner: Number[]) => Number[]} */
+  const transformCorner = ([u, v]) => [a * u + c * v + e - shiftX, b * u + d * v + f - shiftY]
+
+  return {
+    cells: shifted,
+    rows,
+    width,
+    height,
+    // The first tile (in reading order) that the piece covers
+    anchorX: Math.floor(Math.min(...shifted.filter(([, v]) => v < 2).map(([u]) => u)) / 2),
+    // The SVG transform (in units of tiles) from the unrotated piece
+    transform: `matrix(${[a, b, c, d, (e - shiftX) / 2, (f - shiftY) / 2].join(',')})`,
+    angle,
+    mirrored,
+    // The strand's ends and the corners it passes through, as above
+    strandEnds: strandEnds.map(([u, v, du, dv]) => [...transformCorner([u, v]), a * du + c * dv, b * du + d * dv]),
+    bridges: bridges.map(transformCorner)
+  }
+}
+
+export const defaultPieceSet = loadPieceSet(kangourouPieceSet)
@@ -7,7 +7,8 @@
  * has at least one side that aligns with the side of such a tile.
  *
  * The goal of the puzzle is to fit a given set of pieces into a
- * given shape. The pieces can be rotated, but not flipped.
+ * given shape. The pieces can be rotated, but not flipped (except in the
+ * "double-sided" variant, see the `allowFlips` option).
  *
  * Note: To throw off the player, the shapes of the pieces are
  * deliberately irregular, even if each corner of each shape aligns
@@ -23,79 +24,231 @@
  * Mathematically, however, these pieces _can_ be represented by those
  * 2x2 tiles, which is what we do here.
  *
- * In the following, each piece is identified by a bit mask that
- * corresponds to the 2x4 layout on a grid:
+ * The pieces themselves are defined in `pieces.js`; custom piece sets
+ * can be passed to the constructor.
+ */
+import { defaultPieceSet, loadPieceSet } from './pieces.js'
+import { SolutionGrouper } from './grouping.js'
+import { DancingLinks } from './dlx.js'
+
+/**
+ * @typedef {{
+ *   atMost?: boolean,
+ *   fixedMoves?: Number[][],
+ *   constraints?: Constraints,
+ *   maxSolutions?: Number,
+ *   firstOnly?: boolean,
+ *   distinct?: boolean,
+ *   singleLoop?: boolean,
+ *   onProgress?: (nodes: Number) => void,
+ *   progressInterval?: Number,
+ *   onTrace?: (event: TraceEvent) => void
+ * }} SolveOptions
+ */
+
+/**
+ * Restrictions on the solutions, e.g. of a challenge variant, which the
+ * search honors while placing the pieces (see `constraintChecks()`)
  *
- *  --   --   --   --   --       --
- * |  | |x | |xx| |x | |xx|     |01| (bits)
- * |x | |x | |x | |x | |x |     |23|
- * | x| | x| | x| | x| | x|     |45|
- * |  | |  | |  | | x| | x|     |67|
- *  --   --   --   --   --       --
+ * - `fixedMoves`: pieces that are already placed, as `[x, y, i, j]` moves
+ * - `rotations`: for each piece type, the indices `j` of the rotations in
+ *   which it may be placed (all of them if the entry is missing or `null`)
+ * - `mustCover`: tiles `[x, y, i]` that a piece of type `i` must cover (at
+ *   least partly)
+ * - `mustNotCover`: tiles `[x, y, i]` that no piece of type `i` may cover
+ * - `maxPieceTypes`: how many different types of pieces may be used
+ *
+ * @typedef {{
+ *   fixedMoves?: Number[][],
+ *   rotations?: (Number[] | null)[],
+ *   mustCover?: Number[][],
+ *   mustNotCover?: Number[][],
+ *   maxPieceTypes?: Number
+ * }} Constraints
+ */
+
+/**
+ * A step of the backtracking search (see `trace()`)
+ *
+ * - `place`: the piece is placed, and the search goes one level deeper
+ * - `remove`: the piece is taken off again, backtracking
+ * - `skip-overlap`: the piece would overlap pieces placed already
+ * - `skip-outside`: the piece would stick out of the board or cover a hole
+ * - `skip-constraint`: the piece would break one of the `constraints`
+ * - `solution`: the board is covered; `moves` lists the solution
+ *
+ * `depth` is the number of pieces placed after the step.
+ *
+ * @typedef {{
+ *   type: 'place' | 'remove' | 'skip-overlap' | 'skip-outside' | 'skip-constraint' | 'solution',
+ *   move?: Number[],
+ *   moves?: Number[][],
+ *   depth: Number
+ * }} TraceEvent
+ */
+
+/**
+ * A transformation of sub-tile coordinates
+ *
+ * @typedef {(subTile: Number[]) => Number[]} Symmetry
+ */
+
+/**
+ * The rotations of the whole board, in sub-tile coordinates (up to translation)
+ *
+ * Since the pieces cannot be flipped, mirror images of the board are not
+ * considered.
+ *
+ * @type {Symmetry[]}
+ */
+const boardRotations = [
+  ([u, v]) => [u, v],
+  ([u, v]) => [-v, u],
+  ([u, v]) => [-u, -v],
+  ([u, v]) => [v, -u],
+]
+
+/**
+ * The reflections of the whole board, in sub-tile coordinates (up to translation)
+ *
+ * These are symmetries only if pieces may be flipped.
+ *
+ * @type {Symmetry[]}
+ */
+const boardReflections = [
+  ([u, v]) => [-u, v],
+  ([u, v]) => [u, -v],
+  ([u, v]) => [v, u],
+  ([u, v]) => [-v, -u],
+]
+
+/**
+ * A reason why a board cannot be covered, with the tiles responsible for it
+ *
+ * @typedef {{
+ *   reason: 'area' | 'unreachable' | 'region' | 'parity',
+ *   message: string,
+ *   cells: Number[][]
+ * }} Diagnosis
+ */
+
+/**
+ * Tests whether `target` can be written as a sum of the given sizes,
+ * using each at most as many times as the corresponding count says
+ *
+ * @param {Number} target
+ * @param {Number[]} sizes
+ * @param {Number[]} counts
+ * @returns {boolean}
+ */
+const canSum = (target, sizes, counts) => {
+  let reachable = Array(target + 1).fill(false)
+  reachable[0] = true
+  sizes.forEach((size, i) => {
+    for (let k = 0; k < counts[i]; k++) {
+      const next = [...reachable]
+      for (let n = size; n <= target; n++) {
+        if (reachable[n - size]) next[n] = true
+      }
+      reachable = next
+    }
+  })
+  return reachable[target]
+}
+
+/**
+ * Formats a number of sub-tiles as a number of tiles
+ *
+ * @param {Number} subTiles
+ * @returns {string}
+ */
+const tiles = subTiles => `${subTiles / 4} tile${subTiles === 4 ? '' : 's'}`
+
+/**
+ * A problem found by `verify()`, with the (0-based) indices of the moves
+ * and the tiles involved
+ *
+ * @typedef {{
+ *   type: 'invalid-move' | 'flipped' | 'out-of-bounds' | 'hole' | 'overlap' | 'uncovered' | 'piece-count',
+ *   message: string,
+ *   moves: Number[],
+ *   cells: Number[][]
+ * }} SolutionError
+ */
+
+/**
+ * How the strands drawn on the pieces of a solution join up (see
+ * `analyzeStrands()`)
+ *
+ * `loops` and `strands` list the (0-based) indices of the moves whose
+ * strands form each closed loop and each open strand, in the order in
+ * which they are followed; `openEnds` are the points (in tiles) where the
+ * open strands end; each of the `crossings` is a point where the strand of
+ * the move `over` passes over the joint between the strands of the moves
+ * `under`.
+ *
+ * @typedef {{
+ *   loops: Number[][],
+ *   strands: Number[][],
+ *   openEnds: Number[][],
+ *   crossings: { x: Number, y: Number, over: Number, under: Number[] }[],
+ *   singleLoop: boolean
+ * }} StrandAnalysis
+ */
+
+/**
+ * The colors in which `solutionToSVG()` draws the closed loops
+ */
+const loopColors = ['#d62728', '#2ca02c', '#ff7f0e', '#9467bd', '#17becf', '#e377c2', '#8c564b', '#bcbd22']
+
+/**
+ * Lists the tiles the given sub-tiles belong to, e.g. `(0,1) (2,1)`
+ *
+ * @param {Number[][]} subTiles
+ * @returns {string}
+ */
+const formatTiles = subTiles => tilesOf(subTiles).map(([x, y]) => `(${x},${y})`).join(' ')
+
+/**
+ * Returns the tiles the given sub-tiles belong to, without duplicates
+ *
+ * @param {Number[][]} subTiles
+ * @returns {Number[][]}
+ */
+const tilesOf = subTiles => [...new Set(subTiles.map(([u, v]) => `${Math.floor(u / 2)},${Math.floor(v / 2)}`))]
+  .map(key => key.split(',').map(Number))
+
+/**
+ * Escapes the characters that have a special meaning in XML text
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXML = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * The labels that `solutionToString()` uses for the pieces, in order
+ */
+const labels = '123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+
+/**
+ * @typedef {{
+ *   pieceSet?: import('./pieces.js').PieceSetDefinition | import('./pieces.js').PieceSet | string,
+ *   allowFlips?: boolean,
+ *   engine?: 'bitmask' | 'dlx'
+ * }} PuzzleOptions
  */
-const Pos00 = 1<<0
-const Pos01 = 1<<1
-const Pos10 = 1<<2
-const Pos11 = 1<<3
-const Pos20 = 1<<4
-const Pos21 = 1<<5
-const Pos30 = 1<<6
-const Pos31 = 1<<7
-
-const pieces = [
-                  Pos10 | Pos21,
-  Pos00 |         Pos10 | Pos21,
-  Pos00 | Pos01 | Pos10 | Pos21,
-  Pos00 |         Pos10 | Pos21 | Pos31,
-  Pos00 | Pos01 | Pos10 | Pos21 | Pos31,
-].map(mask => {
-  /**
-   * Returns the bit at the given coordinate
-   *
-   * @param {Number} x
-   * @param {Number} y
-   * @returns {number}
-   */
-  const isSet = (x, y) => mask & (1 << (y * 2 + x)) ? 1 : 0
-  // Each rotation is an array of bit masks, one per row,
-  // lowest bit representing the upper-leftmost tile.
-  const rotations = [
-    [
-      isSet(0, 0) | isSet(1, 0) << 1,
-      isSet(0, 1) | isSet(1, 1) << 1,
-      isSet(0, 2) | isSet(1, 2) << 1,
-      isSet(0, 3) | isSet(1, 3) << 1,
-    ], [
-      isSet(1, 0) | isSet(1, 1) << 1 | isSet(1, 2) << 2 | isSet(1, 3) << 3,
-      isSet(0, 0) | isSet(0, 1) << 1 | isSet(0, 2) << 2 | isSet(0, 3) << 3,
-    ], [
-      isSet(1, 3) | isSet(0, 3) << 1,
-      isSet(1, 2) | isSet(0, 2) << 1,
-      isSet(1, 1) | isSet(0, 1) << 1,
-      isSet(1, 0) | isSet(0, 0) << 1,
-    ], [
-      isSet(0, 3) | isSet(0, 2) << 1 | isSet(0, 1) << 2 | isSet(0, 0) << 3,
-      isSet(1, 3) | isSet(1, 2) << 1 | isSet(1, 1) << 2 | isSet(1, 0) << 3,
-    ]
-  ].map(row => row.map(mask => BigInt(mask)))
-  let tileCount = 0
-  for (let i = 0; i < 8; i++) {
-    if (mask & (1 << i)) tileCount++
-  }
-  return {
-    rotations,
-    tileCount
-  }
-})
 
 export class KangourouKnotPuzzle {
   /**
    *
    * @param {Number|String} widthOrBoard
-   * @param {Number} [height]
+   * @param {Number|PuzzleOptions} [height] the height, or the options if the board is passed as a string
    * @param {Number[][]} [tileCoordinates]
+   * @param {PuzzleOptions} [options]
    */
-  constructor(widthOrBoard, height, tileCoordinates) {
+  constructor(widthOrBoard, height, tileCoordinates, options) {
+    if (typeof height === 'object') options = height
     if (typeof widthOrBoard === 'string') {
       this.board = widthOrBoard
       // Interpret the only parameter as an ASCII representation of the puzzle, e.g.
@@ -121,6 +274,8 @@ export class KangourouKnotPuzzle {
     } else throw new Error('Invalid parameters')
     this.mask = BigInt(0)
     this.tileCount = 0
+    /** @type {Number[][]} */
+    this.tiles = []
     tileCoordinates.forEach(xy => {
       const [x, y] = xy
       const p = 4 * y * this.width + 2 * x
@@ -133,62 +288,618 @@ export class KangourouKnotPuzzle {
       this.mask |= 1n << BigInt(p + 2 * this.width)
       this.mask |= 1n << BigInt(p + 2 * this.width + 1)
       this.tileCount += 4
+      this.tiles.push([x, y])
     })
 
+    const pieceSet = options?.pieceSet
+    this.pieceSet = !pieceSet ? defaultPieceSet
+      : typeof pieceSet !== 'string' && 'definition' in pieceSet ? pieceSet : loadPieceSet(pieceSet)
+
+    this.allowFlips = !!options?.allowFlips
+    // The bitmask engine (`solve0()`) is fast for small boards, but shifting
+    // the `BigInt`s gets more expensive the wider the board is; the exact
+    // cover engine (`solveExactCover()`) scales better.
+    this.engine = options?.engine || 'bitmask'
+    if (this.engine !== 'bitmask' && this.engine !== 'dlx') throw new Error(`Invalid engine: ${this.engine}`)
+
     /* Depends on the width of the board */
-    this.pieces = pieces.map(piece => {
-      const rotations = piece.rotations.map(
-        rotation => rotation.reduce(
-          (s, m, index) =>
-            s | (m << BigInt(2 * index * this.width)),
-          0n
-        )
-      )
-      if (rotations[0] === rotations[2]) rotations.splice(2, 2)
+    this.pieces = this.pieceSet.pieces.map(piece => {
+      const rotations = piece.rotations.slice(0, this.allowFlips ? undefined : piece.rotationCount).map(rotation => {
+        return {
+          mask: rotation.rows.reduce(
+            (s, m, index) =>
+              s | (m << BigInt(2 * index * this.width)),
+            0n
+          ),
+          width: rotation.width,
+          height: rotation.height,
+          anchorX: rotation.anchorX,
+          // The first sub-tile (in reading order) covered by the piece
+          firstSubTile: rotation.cells[0]
+        }
+      })
       return {
         rotations
       }
     })
+
+    this.symmetries = this.findSymmetries(this.allowFlips ? [...boardRotations, ...boardReflections] : boardRotations)
+  }
+
+  /**
+   * Determines which of the given transformations map the board onto itself
+   *
+   * The transformations operate on sub-tile coordinates; the returned
+   * symmetries include the translation needed to map the transformed
+   * board back onto the original one. The first one is always the
+   * identity.
+   *
+   * @param {Symmetry[]} transformations
+   * @returns {Symmetry[]}
+   */
+  findSymmetries(transformations) {
+    const subTiles = this.subTiles()
+    if (subTiles.length === 0) return [transformations[0]]
+    const key = (/** @type {Number[]} */ c) => `${c[0]},${c[1]}`
+    const boardKeys = new Set(subTiles.map(key))
+    /**
+     * Returns the upper-left corner of the bounding box of the given sub-tiles
+     *
+     * @param {Number[][]} list
+     * @returns {Number[]}
+     */
+    const min = list => list.reduce((m, c) => [Math.min(m[0], c[0]), Math.min(m[1], c[1])], [Infinity, Infinity])
+    const [minX, minY] = min(subTiles)
+    return transformations.reduce((/** @type {Symmetry[]} */ result, transform) => {
+      const transformed = subTiles.map(transform)
+      const [tx, ty] = min(transformed)
+      /** @type {Symmetry} */
+      const symmetry = c => {
+        const [u, v] = transform(c)
+        return [u - tx + minX, v - ty + minY]
+      }
+      if (transformed.every(c => boardKeys.has(key([c[0] - tx + minX, c[1] - ty + minY])))) result.push(symmetry)
+      return result
+    }, [])
+  }
+
+  /**
+   * Lists the sub-tiles of the board, four per tile, in the order of `this.tiles`
+   *
+   * @returns {Number[][]}
+   */
+  subTiles() {
+    return this.tiles.flatMap(([x, y]) => [
+      [2 * x, 2 * y], [2 * x + 1, 2 * y], [2 * x, 2 * y + 1], [2 * x + 1, 2 * y + 1]
+    ])
+  }
+
+  /**
+   * Enumerates every way to place any of the pieces on the board
+   *
+   * The sub-tiles covered by each placement are given as indices into
+   * `subTiles()`.
+   *
+   * @returns {{ move: Number[], subTiles: Number[] }[]}
+   */
+  placements() {
+    /** @type {Map<Number, Number>} */
+    const indices = new Map()
+    this.subTiles().forEach(([u, v], index) => indices.set(2 * this.width * v + u, index))
+
+    /** @type {{ move: Number[], subTiles: Number[] }[]} */
+    const placements = []
+    this.pieces.forEach((piece, i) => piece.rotations.forEach((rotation, j) => {
+      const cells = this.pieceSet.pieces[i].rotations[j].cells
+      for (let y = 0; y + rotation.height <= this.height; y++) {
+        for (let x = 0; x + rotation.width <= this.width; x++) {
+          const subTiles = cells.map(([u, v]) => indices.get(2 * this.width * (2 * y + v) + 2 * x + u))
+          if (subTiles.some(index => index === undefined)) continue
+          placements.push({ move: [x, y, i, j], subTiles: /** @type {Number[]} */ (subTiles) })
+        }
+      }
+    }))
+    return placements
+  }
+
+  /**
+   * Returns the sub-tile coordinates covered by the given move
+   *
+   * @param {Number[]} move
+   * @returns {Number[][]}
+   */
+  moveToSubTiles(move) {
+    const [x, y, i, j] = move
+    return this.pieceSet.pieces[i].rotations[j].cells.map(([u, v]) => [2 * x + u, 2 * y + v])
+  }
+
+  /**
+   * Describes the solution after applying the given symmetry, in a form
+   * that does not depend on the order of the moves
+   *
+   * @param {Number[][]} solution
+   * @param {Symmetry} symmetry
+   * @returns {string}
+   */
+  solutionKey(solution, symmetry) {
+    return solution
+      .map(move => `${move[2]}:${this.moveToSubTiles(move).map(c => symmetry(c).join(',')).sort().join(' ')}`)
+      .sort()
+      .join('|')
+  }
+
+  /**
+   * Counts how many distinct solutions are obtained by applying the
+   * board's symmetries to the given solution (including itself)
+   *
+   * @param {Number[][]} solution
+   * @returns {Number}
+   */
+  symmetricVariants(solution) {
+    return new Set(this.symmetries.map(symmetry => this.solutionKey(solution, symmetry))).size
+  }
+
+  /**
+   * Tests whether the given solution is the canonical representative of
+   * the solutions that are equivalent to it up to the board's symmetries
+   *
+   * @param {Number[][]} solution
+   * @returns {boolean}
+   */
+  isCanonical(solution) {
+    const key = this.solutionKey(solution, this.symmetries[0])
+    return this.symmetries.every(symmetry => this.solutionKey(solution, symmetry) >= key)
+  }
+
+  /**
+   * Identifies a placed piece by the sub-tiles it covers
+   *
+   * Pieces of different types that have the same shape (e.g. that only
+   * differ in their strands) get the same key.
+   *
+   * @param {Number[]} move
+   * @returns {string}
+   */
+  shapeKey(move) {
+    return this.moveToSubTiles(move).map(c => c.join(',')).sort().join(' ')
+  }
+
+  /**
+   * Lists the tiles covered by the given moves
+   *
+   * @param {Number[][]} moves
+   * @returns {Number[][]}
+   */
+  tilesCoveredBy(moves) {
+    return tilesOf(moves.flatMap(move => this.moveToSubTiles(move)))
+  }
+
+  /**
+   * Compares two solutions
+   *
+   * Pieces that cover the same sub-tiles count as the same (see
+   * `shapeKey()`).
+   *
+   * @param {Number[][]} first
+   * @param {Number[][]} second
+   * @returns {{ common: Number[][], onlyFirst: Number[][], onlySecond: Number[][], cells: Number[][] }}
+   *   the moves (of `first`) that both solutions share, the moves found in only one of them,
+   *   and the tiles that the two solutions cover differently
+   */
+  compareSolutions(first, second) {
+    const firstKeys = new Set(first.map(move => this.shapeKey(move)))
+    const secondKeys = new Set(second.map(move => this.shapeKey(move)))
+    const onlyFirst = first.filter(move => !secondKeys.has(this.shapeKey(move)))
+    const onlySecond = second.filter(move => !firstKeys.has(this.shapeKey(move)))
+    return {
+      common: first.filter(move => secondKeys.has(this.shapeKey(move))),
+      onlyFirst,
+      onlySecond,
+      cells: this.tilesCoveredBy([...onlyFirst, ...onlySecond])
+    }
+  }
+
+  /**
+   * Finds the pieces that are placed the same way in all of the given
+   * solutions (see `shapeKey()`)
+   *
+   * @param {Number[][][]} solutions
+   * @returns {Number[][]} the forced moves, as found in the first solution
+   */
+  forcedMoves(solutions) {
+    if (solutions.length === 0) return []
+    const keys = solutions.slice(1).map(solution => new Set(solution.map(move => this.shapeKey(move))))
+    return solutions[0].filter(move => keys.every(set => set.has(this.shapeKey(move))))
+  }
+
+  /**
+   * Groups solutions that differ only in small parts of the board
+   *
+   * See `SolutionGrouper` in `grouping.js`, which can also group solutions
+   * as they are found.
+   *
+   * @param {Number[][][]} solutions
+   * @param {Number} [maxTiles] (default: 4)
+   * @returns {Number[][]} the indices of the solutions in each group, in order
+   */
+  groupSolutions(solutions, maxTiles = 4) {
+    const grouper = new SolutionGrouper(this, maxTiles)
+    for (const solution of solutions) grouper.add(solution)
+    return grouper.groups()
+  }
+
+  /**
+   * Returns how many pieces of each type the piece set comes with
+   *
+   * @returns {Number[]}
+   */
+  defaultPieceCounts() {
+    return this.pieceSet.pieces.map(piece => piece.count)
+  }
+
+  /**
+   * Returns how many sub-tiles the given pieces cover in total
+   *
+   * @param {Number[]} pieceCounts
+   * @returns {Number}
+   */
+  piecesTileCount(pieceCounts) {
+    return pieceCounts.reduce((count, pieceCount, index) => count + pieceCount * (this.pieceSet.pieces[index]?.tileCount || 0), 0)
   }
 
   /**
    *
    * @param {Number[]} [pieceCounts]
+   * @param {SolveOptions & { onSolution?: (solution: Number[][]) => void }} [options]
    * @returns {Number[][][]}
    */
-  solve(pieceCounts) {
-    if (pieceCounts) {
-      const pieceCountTotal = pieceCounts.reduce((count, pieceCount, index) => count + pieceCount * pieces[index].tileCount, 0)
-      if (this.tileCount !== pieceCountTotal) {
-        console.warn(`${this.tileCount} tiles need to be covered, but the pieces cover ${pieceCountTotal}`)
-        return []
-      }
-    } else pieceCounts = [2, 6, 4, 2, 2]
+  solve(pieceCounts, options) {
     /**@type {Number[][][]} */
     const solutions = []
-    this.solve0({
-      pieceCounts,
-      s: 0n,
+    for (const solution of this.solutions(pieceCounts, options)) {
+      solutions.push(solution)
+      options?.onSolution?.(solution)
+    }
+    return solutions
+  }
+
+  /**
+   * Iterates over the solutions, finding them one at a time
+   *
+   * The search only progresses as far as needed to produce the next
+   * solution, so breaking out of a `for...of` loop stops it.
+   *
+   * @param {Number[]} [pieceCounts]
+   * @param {SolveOptions} [options]
+   * @returns {Generator<Number[][], void, undefined>}
+   */
+  *solutions(pieceCounts, options) {
+    for (const solution of this.search(pieceCounts, options)) {
+      if (solution) yield solution
+    }
+  }
+
+  /**
+   * Iterates asynchronously over the solutions, finding them one at a time
+   *
+   * Unlike `solutions()`, this yields to the event loop every
+   * `progressInterval` search nodes, so that long searches do not block it.
+   *
+   * @param {Number[]} [pieceCounts]
+   * @param {SolveOptions} [options]
+   * @returns {AsyncGenerator<Number[][], void, undefined>}
+   */
+  async *solutionsAsync(pieceCounts, options) {
+    for (const solution of this.search(pieceCounts, options)) {
+      if (solution) yield solution
+      else await new Promise(resolve => setTimeout(resolve, 0))
+    }
+  }
+
+  /**
+   * Sets up the search state and runs the recursive solver
+   *
+   * Yields each solution, and `null` every `progressInterval` search nodes.
+   * The given `pieceCounts` must be used up exactly, unless `atMost` is
+   * set; without `pieceCounts`, at most the pieces of the piece set are
+   * used.
+   * If `distinct` is set, solutions that are merely rotations (or, if flips
+   * are allowed, reflections) of the whole board of another solution are
+   * skipped (see `isCanonical()`). If `singleLoop` is set, only solutions
+   * whose strands form one closed loop are yielded (see `analyzeStrands()`).
+   *
+   * The `fixedMoves` are pieces that are already placed; they count
+   * against `pieceCounts` and are part of every solution. If they overlap,
+   * stick out of the board or use more pieces than available, there is no
+   * solution. The same goes for the `fixedMoves` of the `constraints`,
+   * which are honored while placing the pieces rather than by filtering
+   * the solutions.
+   *
+   * @param {Number[]} [pieceCounts]
+   * @param {SolveOptions} [options]
+   * @returns {Generator<Number[][] | null, void, undefined>}
+   */
+  *search(pieceCounts, options) {
+    // Covering nothing is not a solution, even though the engines would find one
+    if (this.tileCount === 0) return
+    if (pieceCounts && !options?.atMost) {
+      // There is no solution if the areas do not match; `diagnose()` says so
+      if (this.tileCount !== this.piecesTileCount(pieceCounts)) return
+    } else pieceCounts = pieceCounts || this.defaultPieceCounts()
+    const maxSolutions = options?.firstOnly ? 1 : options?.maxSolutions ?? Infinity
+    if (maxSolutions <= 0) return
+    const fixedMoves = [...options?.fixedMoves || [], ...options?.constraints?.fixedMoves || []]
+    const fixed = this.placeMoves(fixedMoves, pieceCounts)
+    if (!fixed) return
+    const checks = options?.constraints && this.constraintChecks(options.constraints, fixedMoves)
+    if (checks && (!fixedMoves.every(move => checks.allows(move)) || checks.rejects([], fixed.pieceCounts))) return
+    const state = {
+      pieceCounts: fixed.pieceCounts,
+      s: fixed.s,
       moves: [],
-      solutions
-     }, 0, 0)
-     return solutions
+      nodes: 0,
+      onProgress: options?.onProgress,
+      progressInterval: options?.progressInterval || 16384,
+      onTrace: options?.onTrace,
+      checks
+    }
+    let count = 0
+    for (let solution of this.engine === 'dlx' ? this.solveExactCover(state) : this.solve0(state, 0, 0)) {
+      // The fixed moves are not part of `state.moves`, lest they confuse the pruning in `solve0()`
+      if (solution && fixedMoves.length > 0) solution = this.sortMoves([...fixedMoves, ...solution])
+      if (solution && options?.distinct && !this.isCanonical(solution)) continue
+      if (solution && options?.singleLoop && !this.analyzeStrands(solution).singleLoop) continue
+      yield solution
+      if (solution && ++count >= maxSolutions) break
+    }
+    options?.onProgress?.(state.nodes)
   }
 
   /**
+   * Iterates over the steps of the backtracking search, one at a time
+   *
+   * Only the bitmask engine (`solve0()`) can be traced; the search is run
+   * with it regardless of the `engine` option.
+   *
+   * @param {Number[]} [pieceCounts]
+   * @param {SolveOptions} [options] as for `search()`
+   * @returns {Generator<TraceEvent, void, undefined>}
+   */
+  *trace(pieceCounts, options) {
+    const puzzle = this.engine === 'bitmask' ? this
+      : new KangourouKnotPuzzle(this.board, { pieceSet: this.pieceSet, allowFlips: this.allowFlips })
+    /** @type {TraceEvent[]} */
+    const events = []
+    // Yielding after every node keeps the events from piling up
+    for (const _ of puzzle.search(pieceCounts, { ...options, progressInterval: 1, onTrace: event => events.push(event) })) {
+      yield* events.splice(0)
+    }
+    yield* events
+  }
+
+  /**
+   * Places the given moves on the empty board
+   *
+   * @param {Number[][]} moves
+   * @param {Number[]} pieceCounts how many pieces of each type are available
+   * @returns {{ s: bigint, pieceCounts: Number[] } | undefined} the covered sub-tiles and the
+   *   remaining pieces, or `undefined` if the moves overlap, stick out of the board or use
+   *   more pieces than available
+   */
+  placeMoves(moves, pieceCounts) {
+    // Copy the counts: the search might be abandoned half-way
+    const remaining = this.pieces.map((_, i) => pieceCounts[i] || 0)
+    let s = 0n
+    for (const move of moves) {
+      if (this.checkMove(s, remaining, move)) return undefined
+      s |= this.moveMask(move)
+      remaining[move[2]]--
+    }
+    return { s, pieceCounts: remaining }
+  }
+
+  /**
+   * Prepares the checks of the given constraints for the search engines
+   *
+   * `allows()` tells whether a piece may be placed at all: in one of its
+   * allowed rotations, and not covering a tile that pieces of its type
+   * must not cover. `rejects()` tells whether the pieces placed so far (in
+   * addition to the `fixedMoves`) break a constraint already: if they are
+   * of too many types, or if a tile that a certain type of piece must cover
+   * is covered completely by other pieces, or no piece of that type is
+   * left to cover it.
+   *
+   * @param {Constraints} constraints
+   * @param {Number[][]} fixedMoves the pieces placed before the search
+   * @returns {{
+   *   allows: (move: Number[]) => boolean,
+   *   rejects: (moves: Number[][], remaining: Number[]) => boolean
+   * }}
+   */
+  constraintChecks(constraints, fixedMoves) {
+    /** @type {(x: Number, y: Number) => boolean} */
+    const onBoard = (x, y) => x >= 0 && y >= 0 && x < this.width && y < this.height && !this.isEmpty(x, y)
+    const forbidden = this.pieces.map(() => 0n)
+    for (const [x, y, i] of constraints.mustNotCover || []) {
+      if (onBoard(x, y) && i in forbidden) forbidden[i] |= this.tileMask(x, y)
+    }
+    const required = (constraints.mustCover || []).map(([x, y, i]) => ({ i, mask: onBoard(x, y) ? this.tileMask(x, y) : 0n }))
+    // A tile off the board cannot be covered by anything
+    const impossible = required.some(({ i, mask }) => !mask || !(i in this.pieces))
+    const maxPieceTypes = constraints.maxPieceTypes ?? Infinity
+
+    return {
+      allows: move => {
+        const rotations = constraints.rotations?.[move[2]]
+        return (!rotations || rotations.includes(move[3])) && !(forbidden[move[2]] & this.moveMask(move))
+      },
+      rejects: (moves, remaining) => {
+        if (impossible) return true
+        const placed = [...fixedMoves, ...moves]
+        if (maxPieceTypes < this.pieces.length && new Set(placed.map(move => move[2])).size > maxPieceTypes) return true
+        if (required.length === 0) return false
+        let covered = 0n
+        const coveredBy = this.pieces.map(() => 0n)
+        for (const move of placed) {
+          const mask = this.moveMask(move)
+          covered |= mask
+          coveredBy[move[2]] |= mask
+        }
+        return required.some(({ i, mask }) => !(coveredBy[i] & mask) && ((covered & mask) === mask || !remaining[i]))
+      }
+    }
+  }
+
+  /**
+   * Checks whether the given piece can be placed, by the same rules as
+   * `solve0()`: it must lie within the board, must not overlap the
+   * sub-tiles covered already, and there must be a piece of that type left
+   *
+   * @param {bigint} s the covered sub-tiles
+   * @param {Number[]} remaining how many pieces of each type are left
+   * @param {Number[]} move
+   * @returns {'outside' | 'overlap' | 'unavailable' | undefined} why the piece cannot be
+   *   placed, or `undefined` if it can
+   */
+  checkMove(s, remaining, move) {
+    const [x, y, i, j] = move
+    const rotation = this.pieces[i]?.rotations[j]
+    if (!rotation) throw new Error(`Invalid move: ${move}`)
+    if (x < 0 || y < 0 || x + rotation.width > this.width || y + rotation.height > this.height) return 'outside'
+    const mask = this.moveMask(move)
+    if (mask & ~this.mask) return 'outside'
+    if (s & mask) return 'overlap'
+    if (!remaining[i]) return 'unavailable'
+    return undefined
+  }
+
+  /**
+   * Returns the sub-tiles covered by the given move, as a bitmask
+   *
+   * @param {Number[]} move
+   * @returns {bigint}
+   */
+  moveMask(move) {
+    const [x, y, i, j] = move
+    return this.pieces[i].rotations[j].mask << BigInt(4 * y * this.width + 2 * x)
+  }
+
+  /**
+   * Returns the index (in reading order) of the first tile covered by the move
+   *
+   * @param {Number[]} move
+   * @returns {Number}
+   */
+  moveAnchor(move) {
+    return move[1] * this.width + move[0] + this.pieces[move[2]].rotations[move[3]].anchorX
+  }
+
+  /**
+   * Sorts moves in the order in which `solve0()` places them
+   *
+   * @param {Number[][]} moves
+   * @returns {Number[][]}
+   */
+  sortMoves(moves) {
+    return moves.sort((a, b) => this.moveAnchor(a) - this.moveAnchor(b) || a[2] - b[2] || a[3] - b[3])
+  }
+
+  /**
+   * Tests whether the given pieces, already placed on the board, can be
+   * complemented to a solution
+   *
+   * @param {Number[]} [pieceCounts] as for `solve()`
+   * @param {Number[][]} [fixedMoves] the placed pieces
+   * @param {{ atMost?: boolean, constraints?: Constraints }} [options] as for `solve()`
+   * @returns {boolean}
+   */
+  canComplete(pieceCounts, fixedMoves, options) {
+    return !this.solutions(pieceCounts, { ...options, fixedMoves, firstOnly: true }).next().done
+  }
+
+  /**
+   * Suggests the next piece to place
+   *
+   * Among the sub-tiles not covered by the `fixedMoves` yet, the one
+   * with the fewest ways to cover it (with the remaining pieces) is
+   * chosen, and the move covering it in a solution is returned. Calling
+   * this repeatedly, adding each hint to the `fixedMoves`, reveals a
+   * solution one piece at a time, the most constrained pieces first.
+   *
+   * @param {Number[]} [pieceCounts] as for `solve()`
+   * @param {Number[][]} [fixedMoves] the placed pieces
+   * @param {{ atMost?: boolean, constraints?: Constraints }} [options] as for `solve()`
+   * @returns {{ move: Number[], solution: Number[][] } | undefined} the hint and the solution
+   *   it was taken from, or `undefined` if the placed pieces cannot be complemented to a
+   *   solution (or if the board is complete already)
+   */
+  hint(pieceCounts, fixedMoves = [], options) {
+    const solution = this.solutions(pieceCounts, { ...options, fixedMoves, firstOnly: true }).next().value
+    if (!solution) return undefined
+    const move = this.hintFrom(solution, pieceCounts, fixedMoves, options)
+    return move && { move, solution }
+  }
+
+  /**
+   * Picks the next piece to place from a solution complementing the placed
+   * pieces, as `hint()` does
+   *
+   * This allows searching for the solution elsewhere, e.g. with
+   * `solveInWorker()`.
+   *
+   * @param {Number[][]} solution a solution including the `fixedMoves` (and the pinned pieces)
+   * @param {Number[]} [pieceCounts] as for `solve()`
+   * @param {Number[][]} [fixedMoves] the placed pieces
+   * @param {{ constraints?: Constraints }} [options] as for `solve()`
+   * @returns {Number[] | undefined} the move, or `undefined` if all the pieces of the solution are placed
+   */
+  hintFrom(solution, pieceCounts, fixedMoves = [], options) {
+    // The pieces pinned by the constraints are no hints
+    const placed = [...fixedMoves, ...options?.constraints?.fixedMoves || []]
+    if (solution.length === placed.length) return undefined
+
+    const fixed = /** @type {{ s: bigint, pieceCounts: Number[] }} */ (this.placeMoves(placed, pieceCounts || this.defaultPieceCounts()))
+    const subTiles = this.subTiles()
+    /** @type {(index: Number) => bigint} */
+    const bit = index => 1n << BigInt(subTiles[index][1] * 2 * this.width + subTiles[index][0])
+    const choices = subTiles.map(() => 0)
+    for (const { move, subTiles: covered } of this.placements()) {
+      if (fixed.pieceCounts[move[2]] === 0 || covered.some(index => fixed.s & bit(index))) continue
+      for (const index of covered) choices[index]++
+    }
+    let best = -1
+    choices.forEach((count, index) => {
+      if (!(fixed.s & bit(index)) && (best < 0 || count < choices[best])) best = index
+    })
+
+    const [u, v] = subTiles[best]
+    return solution.find(move => this.moveToSubTiles(move).some(([u1, v1]) => u1 === u && v1 === v))
+  }
+
+  /**
+   * Returns the sub-tiles of the given tile, as a bitmask
    *
-   * @param {bigint} s
    * @param {Number} x
    * @param {Number} y
-   * @returns {boolean}
+   * @returns {bigint}
    */
-  isComplete(s, x, y) {
+  tileMask(x, y) {
     const p = 4 * y * this.width + 2 * x
-    const mask =
-      1n << BigInt(p)
+    return 1n << BigInt(p)
       | 1n << BigInt(p + 1)
       | 1n << BigInt(p + 2 * this.width)
       | 1n << BigInt(p + 2 * this.width + 1)
+  }
+
+  /**
+   *
+   * @param {bigint} s
+   * @param {Number} x
+   * @param {Number} y
+   * @returns {boolean}
+   */
+  isComplete(s, x, y) {
+    const mask = this.tileMask(x, y)
     return (s & mask) === mask
   }
 
@@ -206,45 +917,413 @@ export class KangourouKnotPuzzle {
   /**
    * Recursive solver
    *
+   * Yields each solution as it is found, and `null` every
+   * `state.progressInterval` search nodes. Each step is reported to
+   * `state.onTrace`, if given (see `TraceEvent`). Pieces that `state.checks`
+   * forbid are skipped (see `constraintChecks()`).
+   *
    * @param {{
    *  pieceCounts: Number[],
    *  s: bigint,
    *  moves: Number[][],
-   *  solutions: Number[][][]
+   *  nodes: Number,
+   *  onProgress?: (nodes: Number) => void,
+   *  progressInterval: Number,
+   *  onTrace?: (event: TraceEvent) => void,
+   *  checks?: ReturnType<KangourouKnotPuzzle['constraintChecks']>
    * }} state
    * @param {Number} x
    * @param {Number} y
-   * @returns {boolean}
+   * @returns {Generator<Number[][] | null, void, undefined>}
    */
-  solve0(state, x, y) {
-    if (x >= this.width) return this.solve0(state, 0, y + 1)
-    if (y >= this.height) return true
-    if (this.isEmpty(x, y) || this.isComplete(state.s, x, y)) return this.solve0(state, x + 1, y)
+  *solve0(state, x, y) {
+    // Skip the tiles that are not part of the board, or that are covered already
+    for (;;) {
+      if (x >= this.width) {
+        x = 0
+        y++
+      }
+      if (y >= this.height) {
+        state.onTrace?.({ type: 'solution', moves: [...state.moves], depth: state.moves.length })
+        yield [...state.moves]
+        return
+      }
+      if (!this.isEmpty(x, y) && !this.isComplete(state.s, x, y)) break
+      x++
+    }
 
-    // If the last move was at the same coordinates, we can skip
+    // If the last move covered the same tile first, we can skip
     // the piece/rotation that was tried already
     const latestMove = state.moves[state.moves.length - 1]
-    const sameCoords = latestMove?.[0] === x && latestMove?.[1] === y ? latestMove : null
+    const sameCoords = latestMove?.[1] === y
+      && latestMove[0] + this.pieces[latestMove[2]].rotations[latestMove[3]].anchorX === x ? latestMove : null
     for (let i = sameCoords?.[2] || 0; i < this.pieces.length; i++) {
       if (state.pieceCounts[i] === 0) continue
       for (let j = sameCoords?.[2] === i ? sameCoords[3] : 0; j < this.pieces[i].rotations.length; j++) {
         const rotation = this.pieces[i].rotations[j]
-        const mask = rotation << BigInt(4 * y * this.width + 2 * x)
-        if (state.s & mask) continue
-        if (mask & ~this.mask) continue
+        // Place the piece so that the first tile it covers is the current one
+        const x0 = x - rotation.anchorX
+        if (x0 < 0 || x0 + rotation.width > this.width || y + rotation.height > this.height) {
+          state.onTrace?.({ type: 'skip-outside', move: [x0, y, i, j], depth: state.moves.length })
+          continue
+        }
+        const mask = rotation.mask << BigInt(4 * y * this.width + 2 * x0)
+        if (state.s & mask) {
+          state.onTrace?.({ type: 'skip-overlap', move: [x0, y, i, j], depth: state.moves.length })
+          continue
+        }
+        if (mask & ~this.mask) {
+          state.onTrace?.({ type: 'skip-outside', move: [x0, y, i, j], depth: state.moves.length })
+          continue
+        }
+        if (state.checks && !state.checks.allows([x0, y, i, j])) {
+          state.onTrace?.({ type: 'skip-constraint', move: [x0, y, i, j], depth: state.moves.length })
+          continue
+        }
 
         state.pieceCounts[i]--
         state.s |= mask
-        state.moves.push([x, y, i, j])
-        if (this.solve0(state, x, y)) {
-          state.solutions.push([...state.moves])
+        state.moves.push([x0, y, i, j])
+        if (state.checks?.rejects(state.moves, state.pieceCounts)) {
+          state.pieceCounts[i]++
+          state.s &= ~mask
+          state.moves.pop()
+          state.onTrace?.({ type: 'skip-constraint', move: [x0, y, i, j], depth: state.moves.length })
+          continue
         }
+        state.onTrace?.({ type: 'place', move: [x0, y, i, j], depth: state.moves.length })
+        if (++state.nodes % state.progressInterval === 0) {
+          state.onProgress?.(state.nodes)
+          yield null
+        }
+        yield* this.solve0(state, x, y)
         state.pieceCounts[i]++
         state.s &= ~mask
         state.moves.pop()
+        state.onTrace?.({ type: 'remove', move: [x0, y, i, j], depth: state.moves.length })
+      }
+    }
+  }
+
+  /**
+   * Solves the puzzle as an exact cover problem
+   *
+   * Every sub-tile of the board is a column, every possible placement of
+   * a piece is a row. The piece counts limit how many rows of each piece
+   * type may be used.
+   *
+   * Yields the same as `solve0()`, with the moves sorted the same way.
+   * The placements that `state.checks` forbid are left out, and the other
+   * constraints are checked whenever a piece is placed.
+   *
+   * @param {{
+   *  pieceCounts: Number[],
+   *  s: bigint,
+   *  nodes: Number,
+   *  onProgress?: (nodes: Number) => void,
+   *  progressInterval: Number,
+   *  checks?: ReturnType<KangourouKnotPuzzle['constraintChecks']>
+   * }} state
+   * @returns {Generator<Number[][] | null, void, undefined>}
+   */
+  *solveExactCover(state) {
+    const subTiles = this.subTiles()
+    // Leave out the sub-tiles covered by fixed moves, and the placements overlapping them
+    const covered = subTiles.map(([u, v]) => (state.s & (1n << BigInt(v * 2 * this.width + u))) !== 0n)
+    const placements = this.placements().filter(placement => !placement.subTiles.some(index => covered[index]) &&
+      (!state.checks || state.checks.allows(placement.move)))
+    const moves = placements.map(placement => placement.move)
+    const rows = placements.map(placement => ({ columns: placement.subTiles, group: placement.move[2] }))
+
+    // The links are modified while searching, so they cannot be reused
+    const links = new DancingLinks(4 * this.tiles.length, rows)
+    links.coverColumns(covered.flatMap((isCovered, index) => isCovered ? [index] : []))
+    const checks = state.checks
+    const dlxState = {
+      // The search counts the limits down as it selects rows
+      limits: [...state.pieceCounts],
+      selected: [],
+      nodes: 0,
+      onProgress: state.onProgress,
+      progressInterval: state.progressInterval,
+      rejects: checks && ((/** @type {Number[]} */ selected) => {
+        const placed = selected.map(r => moves[r])
+        // How many pieces of each type are left after the selected ones
+        const remaining = [...state.pieceCounts]
+        for (const move of placed) remaining[move[2]]--
+        return checks.rejects(placed, remaining)
+      })
+    }
+    for (const selected of links.search(dlxState)) {
+      state.nodes = dlxState.nodes
+      yield selected && this.sortMoves(selected.map(r => moves[r]))
+    }
+    state.nodes = dlxState.nodes
+  }
+
+  /**
+   * Looks for reasons why the board cannot be covered with the given pieces
+   *
+   * The following checks are performed:
+   *
+   * - area: the pieces cover more or fewer tiles than the board has (or,
+   *   if no piece counts are given, no combination of the available
+   *   pieces covers exactly as many)
+   * - unreachable: some tiles cannot be covered by any available piece
+   * - region: the board falls apart into regions that no piece can
+   *   bridge, and one of them cannot be covered by any combination of the
+   *   available pieces
+   * - parity: every tile consists of four sub-tiles at different positions
+   *   (upper-left, upper-right, lower-left, lower-right), so the pieces
+   *   need to cover each position equally often
+   *
+   * An empty result does not mean that there is a solution, merely that
+   * none of the checks found an obstacle.
+   *
+   * @param {Number[]} [pieceCounts] as for `solve()`
+   * @param {{ atMost?: boolean }} [options] as for `solve()`
+   * @returns {Diagnosis[]}
+   */
+  diagnose(pieceCounts, options) {
+    const exact = !!pieceCounts && !options?.atMost
+    const counts = this.pieces.map((_, i) => (pieceCounts || this.defaultPieceCounts())[i] || 0)
+    const sizes = this.pieceSet.pieces.map(piece => piece.tileCount)
+    /** @type {Diagnosis[]} */
+    const diagnoses = []
+
+    const available = this.piecesTileCount(counts)
+    if (this.tileCount === 0) {
+      diagnoses.push({ reason: 'area', message: 'The board has no tiles', cells: [] })
+    } else if (exact ? available !== this.tileCount : !canSum(this.tileCount, sizes, counts)) {
+      diagnoses.push({
+        reason: 'area',
+        message: exact || available < this.tileCount
+          ? `The board has ${tiles(this.tileCount)}, but the pieces cover ${tiles(available)}`
+          : `No combination of the pieces covers exactly ${tiles(this.tileCount)}`,
+        cells: []
+      })
+    }
+
+    // Sub-tiles that can be covered by the same piece belong to the same region
+    const subTiles = this.subTiles()
+    const parent = subTiles.map((_, index) => index)
+    /** @type {(index: Number) => Number} */
+    const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]))
+    const reachable = subTiles.map(() => false)
+    for (const { move, subTiles: covered } of this.placements()) {
+      if (counts[move[2]] === 0) continue
+      for (const index of covered) {
+        reachable[index] = true
+        parent[find(index)] = find(covered[0])
+      }
+    }
+
+    // Each tile has four sub-tiles, see `subTiles()`
+    const unreachable = this.tiles.filter((_, t) => reachable.slice(4 * t, 4 * t + 4).some(r => !r))
+    if (unreachable.length > 0) {
+      diagnoses.push({
+        reason: 'unreachable',
+        message: `${unreachable.length === 1 ? 'One tile' : `${unreachable.length} tiles`} cannot be covered by any of the pieces`,
+        cells: unreachable
+      })
+    }
+
+    /** @type {Map<Number, Number[]>} */
+    const regions = new Map()
+    subTiles.forEach((_, index) => {
+      if (!reachable[index]) return
+      const root = find(index)
+      regions.set(root, [...(regions.get(root) || []), index])
+    })
+    if (regions.size > 1) {
+      for (const region of regions.values()) {
+        if (canSum(region.length, sizes, counts)) continue
+        diagnoses.push({
+          reason: 'region',
+          message: `A separate region of ${tiles(region.length)} cannot be covered by any combination of the pieces`,
+          cells: this.tiles.filter((_, t) => region.some(index => Math.floor(index / 4) === t))
+        })
+      }
+    }
+
+    if (diagnoses.length === 0 && !this.isBalanced(counts, exact)) {
+      diagnoses.push({
+        reason: 'parity',
+        message: 'The pieces cannot cover the four sub-tile positions of the tiles equally often',
+        cells: []
+      })
+    }
+
+    return diagnoses
+  }
+
+  /**
+   * Tests whether the pieces can be rotated so that they cover each of the
+   * four sub-tile positions (upper-left, upper-right, lower-left,
+   * lower-right) exactly once per tile of the board
+   *
+   * As this needs to explore up to (tiles + 1)^4 combinations, it gives up
+   * (returning `true`) on very large boards.
+   *
+   * @param {Number[]} counts
+   * @param {boolean} exact whether all pieces need to be used
+   * @returns {boolean}
+   */
+  isBalanced(counts, exact) {
+    const n = this.tiles.length
+    if ((n + 1) ** 4 > 1e6) return true
+    const base = n + 1
+    /** @type {(vector: Number[]) => Number} */
+    const encode = vector => vector.reduce((code, value) => code * base + value, 0)
+    /** @type {(code: Number) => Number[]} */
+    const decode = code => [0, 0, 0, 0].map(() => {
+      const value = code % base
+      code = (code - value) / base
+      return value
+    }).reverse()
+
+    let states = new Set([0])
+    this.pieces.forEach((piece, i) => {
+      const vectors = piece.rotations.map((_, j) => this.pieceSet.pieces[i].rotations[j].cells.reduce((vector, [u, v]) => {
+        vector[(u % 2) + 2 * (v % 2)]++
+        return vector
+      }, [0, 0, 0, 0]))
+      for (let k = 0; k < counts[i]; k++) {
+        /** @type {Set<Number>} */
+        const next = exact ? new Set() : new Set(states)
+        for (const code of states) {
+          const current = decode(code)
+          for (const vector of vectors) {
+            const sum = current.map((value, c) => value + vector[c])
+            if (sum.every(value => value <= n)) next.add(encode(sum))
+          }
+        }
+        states = next
       }
+    })
+    return states.has(encode([n, n, n, n]))
+  }
+
+  /**
+   * Counts the solutions without enumerating them
+   *
+   * The count is broken down by the number of pieces of each type that
+   * are used. Intermediate results are memoized, so that boards with
+   * many solutions can be counted much faster than via `solve()`.
+   *
+   * Note: unlike `solve()`, this cannot skip symmetric solutions.
+   *
+   * @param {Number[]} [pieceCounts]
+   * @param {{ atMost?: boolean }} [options] as for `solve()`
+   * @returns {{
+   *   total: Number,
+   *   byPieceCount: { pieceCount: Number[], count: Number }[]
+   * }}
+   */
+  countSolutions(pieceCounts, options) {
+    if (this.tileCount === 0) return { total: 0, byPieceCount: [] }
+    if (pieceCounts && !options?.atMost) {
+      if (this.tileCount !== this.piecesTileCount(pieceCounts)) return { total: 0, byPieceCount: [] }
+    } else pieceCounts = pieceCounts || this.defaultPieceCounts()
+    const initial = this.pieces.map((_, i) => pieceCounts[i] || 0)
+    const counts = this.count0(0n, [...initial], new Map())
+    const byPieceCount = [...counts.entries()]
+      .map(([remaining, count]) => {
+        const left = remaining.split(',').map(Number)
+        return {
+          pieceCount: initial.map((n, i) => n - left[i]),
+          count
+        }
+      })
+      .sort((a, b) => a.pieceCount.join('').localeCompare(b.pieceCount.join('')))
+    return {
+      total: byPieceCount.reduce((total, { count }) => total + count, 0),
+      byPieceCount
     }
-    return false
+  }
+
+  /**
+   * Recursive, memoizing solution counter
+   *
+   * Unlike `solve0()`, this always covers the first free sub-tile next.
+   * Since exactly one piece can cover it, the result only depends on the
+   * covered sub-tiles and on the remaining pieces, which is what the
+   * results are memoized on.
+   *
+   * @param {bigint} s the covered sub-tiles
+   * @param {Number[]} remaining how many pieces of each type are left
+   * @param {Map<string, Map<string, Number>>} memo
+   * @returns {Map<string, Number>} the number of ways to complete the board, by the pieces left over
+   */
+  count0(s, remaining, memo) {
+    const free = this.mask & ~s
+    if (free === 0n) return new Map([[remaining.join(','), 1]])
+
+    const key = `${s.toString(36)}:${remaining}`
+    const memoized = memo.get(key)
+    if (memoized) return memoized
+
+    // The position of the lowest free bit
+    const p = (free & -free).toString(2).length - 1
+    const u = p % (2 * this.width)
+    const v = (p - u) / (2 * this.width)
+    /** @type {Map<string, Number>} */
+    const result = new Map()
+    for (let i = 0; i < this.pieces.length; i++) {
+      if (remaining[i] === 0) continue
+      for (const rotation of this.pieces[i].rotations) {
+        // Place the piece so that its first sub-tile is the free one
+        const du = u - rotation.firstSubTile[0]
+        const dv = v - rotation.firstSubTile[1]
+        if (du % 2 !== 0 || dv % 2 !== 0) continue
+        const x0 = du / 2
+        const y0 = dv / 2
+        if (x0 < 0 || x0 + rotation.width > this.width || y0 + rotation.height > this.height) continue
+        const mask = rotation.mask << BigInt(4 * y0 * this.width + 2 * x0)
+        if (s & mask) continue
+        if (mask & ~this.mask) continue
+
+        remaining[i]--
+        for (const [left, count] of this.count0(s | mask, remaining, memo)) {
+          result.set(left, (result.get(left) || 0) + count)
+        }
+        remaining[i]++
+      }
+    }
+    memo.set(key, result)
+    return result
+  }
+
+  /**
+   * Describes a placed piece in words, e.g. for screen readers: "piece type
+   * 3, rotated 90°, at column 2 row 1"
+   *
+   * Piece types, columns and rows are counted from 1; the column and row
+   * are those of the upper-left corner of the piece's bounding box.
+   *
+   * @param {Number[]} move
+   * @returns {string}
+   */
+  describeMove(move) {
+    const [x, y, i, j] = move
+    const rotation = this.pieceSet.pieces[i]?.rotations[j]
+    if (!rotation) throw new Error(`Invalid move: ${move}`)
+    return [
+      `piece type ${i + 1}`,
+      ...(rotation.mirrored ? ['flipped'] : []),
+      rotation.angle ? `rotated ${rotation.angle}°` : 'not rotated',
+      `at column ${x + 1} row ${y + 1}`
+    ].join(', ')
+  }
+
+  /**
+   * Describes each piece of the solution in words (see `describeMove()`)
+   *
+   * @param {Number[][]} solution
+   * @returns {string[]}
+   */
+  describeSolution(solution) {
+    return solution.map(move => this.describeMove(move))
   }
 
   /**
@@ -261,7 +1340,6 @@ export class KangourouKnotPuzzle {
       () => Array.from({ length: 2 * width }, () => ' ')
     )
 
-    const labels = '123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
     const colors = [
       '\x1b[42m',   // background green
       '\x1b[1;34m', // bold blue
@@ -271,58 +1349,395 @@ export class KangourouKnotPuzzle {
     ]
     let nr = 0
     for (const move of solution) {
-      const [x, y, i, j] = move
-      const label = useColor ? `${colors[i]}${labels[nr++]}\x1b[m` : labels[nr++]
-      const row = pieces[i].rotations[j]
-      for (let dy = 0; dy < row.length; dy++) {
-        const mask = row[dy]
-        for (let dx = 0, shift = 1n; shift <= mask; dx++, shift <<= 1n) {
-          if (mask & shift) grid[2 * y + dy][2 * x + dx] = label
-        }
-      }
+      const label = useColor ? `${colors[move[2] % colors.length]}${labels[nr++]}\x1b[m` : labels[nr++]
+      for (const [u, v] of this.moveToSubTiles(move)) grid[v][u] = label
     }
 
     return grid.map(row => row.join('')).join('\n')
   }
 
   /**
-   * Generate an SVG image for the given solution (or gray tiles from the current board)
+   * Parses a solution in the format produced by `solutionToString()`,
+   * with or without colors
+   *
+   * Each character other than a space labels the sub-tiles of one piece;
+   * they must form one of the piece shapes, in any rotation (or mirror
+   * image, which `verify()` flags if flips are not allowed). The moves are
+   * returned in the order of the labels, so that the output of
+   * `solutionToString()` round-trips.
+   *
+   * @param {string} text
+   * @returns {Number[][]}
+   */
+  parseSolution(text) {
+    /** @type {Map<string, Number[][]>} */
+    const groups = new Map()
+    text.replace(/\x1b\[[0-9;]*m/g, '').replace(/\r/g, '').split('\n').forEach((line, v) => {
+      line.split('').forEach((label, u) => {
+        if (label === ' ') return
+        groups.set(label, [...(groups.get(label) || []), [u, v]])
+      })
+    })
+
+    /** @type {Map<string, Number[]>} */
+    const shapes = new Map()
+    this.pieceSet.pieces.forEach((piece, i) => piece.rotations.forEach((rotation, j) => {
+      const key = rotation.cells.map(c => c.join(',')).join(' ')
+      if (!shapes.has(key)) shapes.set(key, [i, j])
+    }))
+
+    /** @type {(label: string) => Number} */
+    const order = label => labels.includes(label) ? labels.indexOf(label) : labels.length + (label.codePointAt(0) ?? 0)
+    return [...groups.entries()]
+      .sort(([a], [b]) => order(a) - order(b))
+      .map(([label, cells]) => {
+        // Shift the piece by whole tiles to the upper-left corner
+        const x = Math.floor(Math.min(...cells.map(([u]) => u)) / 2)
+        const y = Math.floor(Math.min(...cells.map(([, v]) => v)) / 2)
+        const key = cells
+          .map(([u, v]) => [u - 2 * x, v - 2 * y])
+          .sort((p, q) => p[1] - q[1] || p[0] - q[0])
+          .map(c => c.join(',')).join(' ')
+        const shape = shapes.get(key)
+        if (!shape) throw new Error(`The cells labeled '${label}' at ${formatTiles(cells)} do not form a known piece`)
+        return [x, y, ...shape]
+      })
+  }
+
+  /**
+   * Checks the given solution, independently of the solver
+   *
+   * Every move must place a known piece in one of its rotations (flipped
+   * only if flips are allowed) within the board, without overlapping
+   * other pieces or covering holes; all of the board must be covered, and
+   * no more pieces may be used than available (with `pieceCounts` and
+   * without `atMost`: exactly as many as given).
    *
    * @param {Number[][]} solution
+   * @param {Number[]} [pieceCounts] as for `solve()`
+   * @param {{ atMost?: boolean }} [options] as for `solve()`
+   * @returns {SolutionError[]} the problems found; empty if the solution is valid
+   */
+  verify(solution, pieceCounts, options) {
+    /** @type {SolutionError[]} */
+    const errors = []
+    const exact = !!pieceCounts && !options?.atMost
+    const available = this.pieceSet.pieces.map((_, i) => (pieceCounts || this.defaultPieceCounts())[i] || 0)
+    const used = available.map(() => 0)
+    const onBoard = new Set(this.subTiles().map(c => c.join()))
+    /** @type {Map<string, Number>} which move covers each sub-tile */
+    const coveredBy = new Map()
+
+    solution.forEach((move, index) => {
+      const [x, y, i, j] = Array.isArray(move) ? move : []
+      const rotation = this.pieceSet.pieces[i]?.rotations[j]
+      if (!rotation || move.length !== 4 || !Number.isInteger(x) || !Number.isInteger(y)) {
+        errors.push({
+          type: 'invalid-move',
+          message: `Move #${index + 1} (${move}) does not place a known piece in a known rotation`,
+          moves: [index],
+          cells: []
+        })
+        return
+      }
+      if (rotation.mirrored && !this.allowFlips) {
+        errors.push({ type: 'flipped', message: `Move #${index + 1} flips piece type ${i + 1} over`, moves: [index], cells: [] })
+      }
+      used[i]++
+
+      const cells = this.moveToSubTiles(move)
+      const outside = cells.filter(([u, v]) => u < 0 || v < 0 || u >= 2 * this.width || v >= 2 * this.height)
+      if (outside.length > 0) {
+        errors.push({
+          type: 'out-of-bounds',
+          message: `Move #${index + 1} sticks out of the board at ${formatTiles(outside)}`,
+          moves: [index],
+          cells: tilesOf(outside)
+        })
+      }
+      const holes = cells.filter(c => !outside.includes(c) && !onBoard.has(c.join()))
+      if (holes.length > 0) {
+        errors.push({
+          type: 'hole',
+          message: `Move #${index + 1} covers holes of the board at ${formatTiles(holes)}`,
+          moves: [index],
+          cells: tilesOf(holes)
+        })
+      }
+
+      /** @type {Map<Number, Number[][]>} the sub-tiles shared with each earlier move */
+      const overlaps = new Map()
+      for (const c of cells) {
+        const other = coveredBy.get(c.join())
+        if (other === undefined) coveredBy.set(c.join(), index)
+        else overlaps.set(other, [...(overlaps.get(other) || []), c])
+      }
+      for (const [other, shared] of overlaps) {
+        errors.push({
+          type: 'overlap',
+          message: `Moves #${other + 1} and #${index + 1} overlap at ${formatTiles(shared)}`,
+          moves: [other, index],
+          cells: tilesOf(shared)
+        })
+      }
+    })
+
+    const uncovered = this.subTiles().filter(c => !coveredBy.has(c.join()))
+    if (uncovered.length > 0) {
+      errors.push({
+        type: 'uncovered',
+        message: `The board is not covered at ${formatTiles(uncovered)}`,
+        moves: [],
+        cells: tilesOf(uncovered)
+      })
+    }
+
+    used.forEach((count, i) => {
+      if (count > available[i] || (exact && count < available[i])) {
+        errors.push({
+          type: 'piece-count',
+          message: `${count} piece${count === 1 ? '' : 's'} of type ${i + 1} used, but ${exact ? 'exactly' : 'at most'} ${available[i]} ${exact ? 'required' : 'available'}`,
+          moves: solution.flatMap((move, index) => move[2] === i ? [index] : []),
+          cells: []
+        })
+      }
+    })
+
+    return errors
+  }
+
+  /**
+   * Follows the strands drawn on the pieces of the given solution
+   *
+   * Each piece's strand runs between two corners of the sub-tile grid
+   * (see `pieces.js`). Where the strand of one piece leaves through a
+   * corner and that of another piece enters it from the opposite
+   * direction, the two join up, passing under the strand of a piece that
+   * connects the other two sub-tiles at that corner, if any. A strand
+   * whose end has no such counterpart (e.g. at the edge of the board) is
+   * open.
+   *
+   * The solution is expected to be valid (see `verify()`).
+   *
+   * @param {Number[][]} solution
+   * @returns {StrandAnalysis}
+   */
+  analyzeStrands(solution) {
+    // The strand ends of each move, in sub-tile coordinates of the board
+    const strandEnds = solution.map(([x, y, i, j]) =>
+      this.pieceSet.pieces[i].rotations[j].strandEnds.map(([u, v, du, dv]) => [2 * x + u, 2 * y + v, du, dv]))
+    /** @type {Map<string, Number[]>} the move and the end index of each strand end */
+    const ends = new Map()
+    strandEnds.forEach((pieceEnds, k) => pieceEnds.forEach((end, e) => ends.set(end.join(), [k, e])))
+    /** @type {(k: Number, e: Number) => Number[] | undefined} the strand end joined to the given one */
+    const partner = (k, e) => {
+      const [u, v, du, dv] = strandEnds[k][e]
+      return du === 0 ? undefined : ends.get([u, v, -du, -dv].join())
+    }
+
+    /** @type {Set<Number>} */
+    const visited = new Set()
+    /**
+     * Follows the strands, entering move `k` through its end `e`, until
+     * reaching an open end or coming back to the start
+     *
+     * @param {Number} k
+     * @param {Number} e
+     * @returns {Number[]} the moves passed
+     */
+    const follow = (k, e) => {
+      const moves = []
+      for (;;) {
+        visited.add(k)
+        moves.push(k)
+        const next = partner(k, 1 - e)
+        if (!next || visited.has(next[0])) return moves
+        k = next[0]
+        e = next[1]
+      }
+    }
+
+    /** @type {Number[][]} */
+    const strands = []
+    /** @type {Number[][]} */
+    const openEnds = []
+    strandEnds.forEach((pieceEnds, k) => pieceEnds.forEach(([u, v], e) => {
+      if (partner(k, e)) return
+      openEnds.push([u / 2, v / 2])
+      if (!visited.has(k)) strands.push(follow(k, e))
+    }))
+    /** @type {Number[][]} */
+    const loops = []
+    strandEnds.forEach((pieceEnds, k) => {
+      if (pieceEnds.length > 0 && !visited.has(k)) loops.push(follow(k, 0))
+    })
+
+    /** @type {Map<string, Number>} the move whose strand passes through each corner */
+    const bridges = new Map()
+    solution.forEach(([x, y, i, j], k) => this.pieceSet.pieces[i].rotations[j].bridges
+      .forEach(([u, v]) => bridges.set(`${2 * x + u},${2 * y + v}`, k)))
+    /** @type {StrandAnalysis['crossings']} */
+    const crossings = []
+    strandEnds.forEach((pieceEnds, k) => pieceEnds.forEach(([u, v], e) => {
+      const other = partner(k, e)
+      const over = bridges.get(`${u},${v}`)
+      // Count each joint once
+      if (!other || over === undefined || other[0] < k || (other[0] === k && other[1] < e)) return
+      crossings.push({ x: u / 2, y: v / 2, over, under: [k, other[0]] })
+    }))
+
+    return { loops, strands, openEnds, crossings, singleLoop: loops.length === 1 && strands.length === 0 }
+  }
+
+  /**
+   * Assigns a different color to each closed loop formed by the strands
+   *
+   * @param {Number[][]} solution
+   * @returns {(string | undefined)[]} the color of each move's strand, `undefined` for those
+   *   not part of a closed loop
+   */
+  strandColors(solution) {
+    /** @type {(string | undefined)[]} */
+    const colors = solution.map(() => undefined)
+    this.analyzeStrands(solution).loops.forEach((loop, index) => loop.forEach(k => {
+      colors[k] = loopColors[index % loopColors.length]
+    }))
+    return colors
+  }
+
+  /**
+   * Summarizes the result of `analyzeStrands()`, e.g. "2 closed loops, 16 crossings"
+   *
+   * @param {StrandAnalysis} analysis
    * @returns {string}
    */
-  solutionToSVG(solution) {
+  static describeStrands(analysis) {
+    /** @type {(count: Number, noun: string) => string} */
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`
+    return [
+      analysis.singleLoop ? 'a single closed loop' : plural(analysis.loops.length, 'closed loop'),
+      ...(analysis.strands.length === 0 ? [] : [`${plural(analysis.strands.length, 'open strand')} (${plural(analysis.openEnds.length, 'open end')})`]),
+      plural(analysis.crossings.length, 'crossing')
+    ].join(', ')
+  }
+
+  /**
+   * Generate an SVG image for the given solution (or gray tiles from the current board)
+   *
+   * Options:
+   *
+   * - `highlight`: tiles to mark, e.g. those reported by `diagnose()`
+   * - `highlightColor`: the color to mark them in (default: red)
+   * - `partial`: draw the board's outline along with the solution, which
+   *   does not need to be complete (e.g. the pieces revealed by `hint()`)
+   * - `loops`: draw each closed loop formed by the strands (see
+   *   `analyzeStrands()`) in a different color
+   * - `raw`: return the SVG document itself (e.g. to save it as a file)
+   *   rather than a `data:` URL
+   * - `tileSize`: the size of a tile, in pixels
+   *
+   * @param {Number[][]} [solution]
+   * @param {{
+   *   highlight?: Number[][],
+   *   highlightColor?: string,
+   *   partial?: boolean,
+   *   loops?: boolean,
+   *   raw?: boolean,
+   *   tileSize?: Number
+   * }} [options]
+   * @returns {string}
+   */
+  solutionToSVG(solution, options) {
     return KangourouKnotPuzzle.toSVG({
-      asDataURL: true,
+      asDataURL: !options?.raw,
+      tileSize: options?.tileSize,
       width: this.width,
       height: this.height,
-      board: solution ? undefined : this.board,
-      solution: !solution ? undefined : solution
+      board: solution && !options?.partial ? undefined : this.board,
+      solution: !solution ? undefined : solution,
+      highlight: options?.highlight,
+      highlightColor: options?.highlightColor,
+      strandColors: solution && options?.loops ? this.strandColors(solution) : undefined,
+      pieceSet: this.pieceSet
+    })
+  }
+
+  /**
+   * Lays out several solutions on one sheet, e.g. to print them
+   *
+   * The solutions are arranged in a grid of `columns` columns (default: 3),
+   * each with its caption (default: "Solution <n>") below it. The other
+   * options are the same as for `solutionToSVG()`.
+   *
+   * @param {Number[][][]} solutions
+   * @param {{ columns?: Number, captions?: string[], loops?: boolean, raw?: boolean, tileSize?: Number }} [options]
+   * @returns {string}
+   */
+  solutionSheetToSVG(solutions, options) {
+    const columns = Math.max(1, Math.min(options?.columns ?? 3, solutions.length))
+    // Leave a margin of half a tile around each solution, and a tile's height for its caption
+    const cellWidth = this.width + 1
+    const cellHeight = this.height + 2
+    /** @type {(index: Number) => Number[]} the upper-left corner of the given solution */
+    const origin = index => [(index % columns) * cellWidth + 0.5, Math.floor(index / columns) * cellHeight + 0.5]
+    /** @type {(string | undefined)[]} */
+    const strandColors = []
+    const moves = solutions.flatMap((solution, index) => {
+      const [x, y] = origin(index)
+      if (options?.loops) strandColors.push(...this.strandColors(solution))
+      return solution.map(([x0, y0, i, j]) => [x0 + x, y0 + y, i, j])
+    })
+    const captions = solutions.map((_, index) => {
+      const [x, y] = origin(index)
+      const caption = options?.captions?.[index] ?? `Solution ${index + 1}`
+      return `
+        <text x="${x + this.width / 2}" y="${y + this.height + 0.9}" style="font-size: 0.6px; font-family: Arial; text-anchor: middle; fill: %23000000">${escapeXML(caption).replace(/#/g, '%23')}</text>`
+    })
+    return KangourouKnotPuzzle.toSVG({
+      asDataURL: !options?.raw,
+      tileSize: options?.tileSize,
+      width: columns * cellWidth,
+      height: Math.ceil(solutions.length / columns) * cellHeight,
+      solution: moves,
+      strandColors: options?.loops ? strandColors : undefined,
+      pieceSet: this.pieceSet,
+      extraSVG: captions.join('')
     })
   }
 
   /**
    * Generate an SVG image from the given options
    *
+   * Unless `asDataURL` is set, the result is a standalone SVG document that
+   * can be saved as a file. With `tileSize`, a tile is that many pixels
+   * wide (otherwise, one).
+   *
    * @param {{
    *   asDataURL?: boolean,
+   *   tileSize?: Number,
    *   width: Number,
    *   height: Number,
    *   board?: string,
    *   solution?: Number[][],
    *   extraSVG?: string,
-   *   piecesViewport?: boolean
+   *   piecesViewport?: boolean,
+   *   highlight?: Number[][],
+   *   highlightColor?: string,
+   *   strandColors?: (string | undefined)[],
+   *   pieceSet?: import('./pieces.js').PieceSet
    * }} options
    * @returns {string}
    */
   static toSVG(options) {
-    return `${options.asDataURL ? 'data:image/svg+xml;utf8,' : ''}<svg
+    const [width, height] = options.piecesViewport ? [options.width - 1.6, options.height - 1] : [options.width, options.height]
+    const scale = options.tileSize || 1
+    // The `#` characters are escaped as `%23` below, as required in `data:` URLs
+    const svg = `<svg
       xmlns:xlink='http://www.w3.org/1999/xlink'
-      xmlns="http://www.w3.org/2000/svg"${options.piecesViewport ? `
-      width="9.4"
-      height="3"` : `
-      width="${options.width}"
-      height="${options.height}"`}
+      xmlns="http://www.w3.org/2000/svg"
+      width="${width * scale}"
+      height="${height * scale}"${!options.tileSize ? '' : `
+      viewBox="0 0 ${width} ${height}"`}
       >
       <style>${!options.solution ? '' : `
         path.S {
@@ -338,40 +1753,45 @@ export class KangourouKnotPuzzle {
         }`}
       </style>
       <defs>
-        ${!options.solution ? '' : `${Array(5).fill(0).map((_, i) => `
-          <path id='outline${i}' class='outline' d='M 0,8 ${
-            i == 0 ? '0,6 2,4' : (i % 2) === 1 ? '0,0 2,0 4,2' : '0,0 8,0 8,2 6,4'
-          } 4,4 4,6 6,8 8,8 ${
-            i < 3 ? '8,10 6,12 4,12' : '8,16 6,16 4,14'
-          } 4,10 2,8 Z' />
-          <clipPath id='clip${i}'><use xlink:href='%23outline${i}' /></clipPath>
-          <path id='S${i}-path' class='S' d='M ${
-            i == 0 ? '1,5 L' : `${
-              (i % 2) === 1 ? '3,1 C 2,2 0,4' : '7,3 C 3,-1 -1,3'
-            } 3,7 4,8 4,8`
-          } ${i <3 ? '7,11' : '5,9 8,12 6,14 5,15'}' />
-          <g id='S${i}0' clip-path='url(%23clip${i})' transform='scale(0.125)'>
-            <use xlink:href='%23outline${i}' />
+        ${!options.solution ? '' : `${(options.pieceSet || defaultPieceSet).pieces.map((piece, i) => `
+          <path id='outline${i}' class='outline' d='${piece.outline}' />
+          <clipPath id='clip${i}'><use xlink:href='%23outline${i}' /></clipPath>${!piece.strand ? '' : `
+          <path id='S${i}-path' class='S' d='${piece.strand}' />`}
+          <g id='P${i}' clip-path='url(%23clip${i})' transform='scale(0.125)'>
+            <use xlink:href='%23outline${i}' />${!piece.strand ? '' : `
             <use xlink:href='%23S${i}-path' style='stroke:%231500ce;stroke-width:2.5;' />
             <use xlink:href='%23S${i}-path' style='stroke:%23000000;stroke-width:1.5;' />
-            <use xlink:href='%23S${i}-path' style='stroke:%2300009d;stroke-width:1.0;' />
+            <use xlink:href='%23S${i}-path' style='stroke:%2300009d;stroke-width:1.0;' />`}
             <use xlink:href='%23outline${i}' style='fill-opacity:0;' />
-          </g>
-          <use id='S${i}1' xlink:href='%23S${i}0' transform='rotate(-90,0.5,0.5)' />
-          <use id='S${i}2' xlink:href='%23S${i}0' transform='rotate(180,0.5,1)' />
-          <use id='S${i}3' xlink:href='%23S${i}0' transform='rotate(90,1,1)' />`).join('')
+          </g>${piece.rotations.map((rotation, j) => `
+          <use id='S${i}${j}' xlink:href='%23P${i}' transform='${rotation.transform}' />`).join('')}`).join('')
         }`}
       </defs>${!options.piecesViewport ? '' : `
         <g transform="translate(-0.8, -0.8)">`}${!options.solution ? '' : options.solution.map(move => `
         <use xlink:href='%23S${move[2]}${move[3]}' x='${move[0]}' y='${move[1]}' />`).join('')
+        }${!options.solution || !options.strandColors ? '' : options.solution.map((move, k) => {
+          // Draw the strand again, in the given color
+          const color = options.strandColors?.[k]?.replace(/#/g, '%23')
+          const pieceSet = options.pieceSet || defaultPieceSet
+          if (!color || !pieceSet.pieces[move[2]].strand) return ''
+          return `
+        <g clip-path='url(%23clip${move[2]})' transform='translate(${move[0]},${move[1]}) ${pieceSet.pieces[move[2]].rotations[move[3]].transform} scale(0.125)'>
+          <use xlink:href='%23S${move[2]}-path' style='stroke:${color};stroke-width:2.5;' />
+          <use xlink:href='%23S${move[2]}-path' style='stroke:%23000000;stroke-width:1.5;' />
+          <use xlink:href='%23S${move[2]}-path' style='stroke:${color};stroke-width:1.0;' />
+        </g>`
+        }).join('')
         }${!options.board ? '' : KangourouKnotPuzzle.boardOutlineAsSVG({
            width: options.width,
            height: options.height,
            grid: true,
            board: options.board || ''
-        })}${!options.extraSVG ? '' : `
+        })}${!options.highlight ? '' : options.highlight.map(([x, y]) => `
+        <rect x='${x}' y='${y}' width='1' height='1' style='fill:${(options.highlightColor || '#ff0000').replace(/#/g, '%23')};fill-opacity:0.4;' />`).join('')
+        }${!options.extraSVG ? '' : `
         ${options.extraSVG}${options.piecesViewport ? '</g>' : ''}`}
     </svg>`
+    return options.asDataURL ? `data:image/svg+xml;utf8,${svg}` : svg.replace(/%23/g, '#')
   }
 
   /**
@@ -521,44 +1941,53 @@ export class KangourouKnotPuzzle {
   }
 
   /**
-   * @param {Object} [extraOptions]
+   * Lays out the pieces of the given piece set side by side, as drawn by
+   * `piecesToSVG()`
+   *
+   * The pieces are placed as the moves of a pseudo-solution on a board of
+   * `width` x `height` tiles, of which the outermost 0.8 tiles are cut off
+   * in the image.
+   *
+   * @param {import('./pieces.js').PieceSet} [pieceSet]
+   * @returns {{ solution: Number[][], width: Number, height: Number }}
+   */
+  static piecesLayout(pieceSet = defaultPieceSet) {
+    /** @type {Number[][]} */
+    const solution = []
+    let x = 1
+    for (const [i, piece] of pieceSet.pieces.entries()) {
+      solution.push([x, 1, i, 0])
+      x += piece.rotations[0].width + 1
+    }
+    const height = pieceSet.pieces.reduce((max, piece) => Math.max(max, piece.rotations[0].height), 0) + 2
+    return { solution, width: x, height }
+  }
+
+  /**
+   * Shows the pieces of the given piece set (default: the Kangourou one)
+   * side by side, labeled with how many there are of each
+   *
+   * @param {Object & {
+   *   asDataURL?: boolean,
+   *   pieceSet?: import('./pieces.js').PieceSet,
+   *   pieceCounts?: Number[]
+   * }} [extraOptions]
    * @returns {string}
    */
   static piecesToSVG(extraOptions) {
+    const pieceSet = extraOptions?.pieceSet || defaultPieceSet
+    const pieceCounts = extraOptions?.pieceCounts || pieceSet.pieces.map(piece => piece.count)
+    const { solution, width: x, height } = KangourouKnotPuzzle.piecesLayout(pieceSet)
     return KangourouKnotPuzzle.toSVG({
-      width: 11,
-      height: 4,
-      board: 'XXXXXXXXXXX\nXXXXXXXXXXX\nXXXXXXXXXXX\nXXXXXXXXXXX',
-      solution: [
-        [1, 1, 0, 0],
-        [3, 1, 1, 0],
-        [5, 1, 2, 0],
-        [7, 1, 3, 0],
-        [9, 1, 4, 0],
-      ],
+      width: x,
+      height,
+      board: Array(height).fill('X'.repeat(x)).join('\n'),
+      solution,
+      pieceSet,
       piecesViewport: true,
-      extraSVG: [2, 6, 4, 2, 2].map((count, i) => `
-        <text x="${2 * i + 1.3}" y="3.75" style="font-size: 0.75px; font-family: Arial; font-weight: bold; fill=%23000000; stroke-width: 0.03; stroke: %23ffffff">${count}</text>`).join('\n'),
+      extraSVG: pieceSet.pieces.map((_, i) => `
+        <text x="${solution[i][0] + 0.3}" y="${height - 0.25}" style="font-size: 0.75px; font-family: Arial; font-weight: bold; fill=%23000000; stroke-width: 0.03; stroke: %23ffffff">${pieceCounts[i] ?? 0}</text>`).join('\n'),
       ...(extraOptions || {})
     })
   }
 }
-
-if (typeof process !== 'undefined' && import.meta?.url?.endsWith(process.argv[1].replace(/\\/g, '/'))) {
-  // const p = new KangourouKnotPuzzle(2, 2, [[0, 0], [1, 0], [0, 1], [1, 1]])
-  // console.log(p.solve([0, 0, 4, 0, 0]))
-  // const p = new KangourouKnotPuzzle(4, 4, [[1, 0], [2, 0], [3, 0], [1, 1], [2, 1], [3, 1], [0, 2], [1, 2], [2, 2], [0, 3], [1, 3], [2, 3]])
-  // const p = new KangourouKnotPuzzle(' XXX\n XXX\nXXX \nXXX ')
-  // const solutions = p.solve([2, 6, 4, 0, 2])
-  // const p = new KangourouKnotPuzzle(' XXX\n X X\nXX XX\nXXXXX')
-  // const solutions = p.solve([2, 6, 4, 2, 2])
-  // const p = new KangourouKnotPuzzle('XXX\nX X\nXXX\nXXX')
-  // const solutions = p.solve([1, 4, 3, 2, 2])
-  const p = new KangourouKnotPuzzle('XXXXXX\nXXXXXX')
-  //const solutions = p.solve([2, 6, 4, 0, 2])
-  const solutions = p.solve()
-  console.log(solutions)
-  for (const s of solutions) {
-    console.log(`Solution:\n${p.solutionToString(s, true)}`)
-  }
-}
@@ -0,0 +1,133 @@
+/*
+ * Runs the solver off the main thread
+ *
+ * This script is meant to be loaded either as a Web Worker (see
+ * `solveInWorker()` in `solver.js`) or as a Node.js `worker_threads`
+ * worker. It expects a single message of the form
+ *
+ *   {
+ *     board: string,
+ *     pieceCounts?: Number[],
+ *     atMost?: boolean,
+ *     fixedMoves?: Number[][],
+ *     constraints?: Constraints,
+ *     maxSolutions?: Number,
+ *     pieceSet?: PieceSetDefinition,
+ *     allowFlips?: boolean,
+ *     engine?: 'bitmask' | 'dlx',
+ *     count?: boolean,
+ *     canComplete?: boolean
+ *   }
+ *
+ * and answers with a stream of messages:
+ *
+ *   { type: 'solutions', solutions: Number[][][] }
+ *   { type: 'progress', nodes: Number }
+ *   { type: 'done', nodes: Number }
+ *   { type: 'error', message: string }
+ *
+ * If `count` is set, the solutions are only counted (see
+ * `KangourouKnotPuzzle.countSolutions()`, which ignores `fixedMoves`,
+ * `constraints` and `maxSolutions`), and the answer is a single message:
+ *
+ *   { type: 'counts', counts: { total: Number, byPieceCount: { pieceCount: Number[], count: Number }[] } }
+ *
+ * If `canComplete` is set, the answer is a single message telling whether
+ * the `fixedMoves` can be complemented to a solution (see
+ * `KangourouKnotPuzzle.canComplete()`):
+ *
+ *   { type: 'canComplete', canComplete: boolean }
+ *
+ * Solutions are batched so that boards with thousands of solutions do not
+ * flood the receiver: a batch is sent along with each progress message,
+ * and whenever a solution is found at least `flushInterval` milliseconds
+ * after the previous batch.
+ *
+ * There is no explicit cancellation message: the search is synchronous,
+ * therefore the only way to stop it is to terminate the worker.
+ */
+import { KangourouKnotPuzzle } from './puzzle.js'
+
+// How long (in milliseconds) solutions may wait before they are sent
+const flushInterval = 50
+
+/**
+ * Solves the requested board, reporting back via `post`
+ *
+ * @param {{
+ *   board: string,
+ *   pieceCounts?: Number[],
+ *   atMost?: boolean,
+ *   fixedMoves?: Number[][],
+ *   constraints?: import('./puzzle.js').Constraints,
+ *   maxSolutions?: Number,
+ *   pieceSet?: import('./pieces.js').PieceSetDefinition,
+ *   allowFlips?: boolean,
+ *   engine?: 'bitmask' | 'dlx',
+ *   count?: boolean,
+ *   canComplete?: boolean
+ * }} request
+ * @param {(message: Object) => void} post
+ */
+const run = (request, post) => {
+  try {
+    const puzzle = new KangourouKnotPuzzle(request.board, {
+      pieceSet: request.pieceSet,
+      allowFlips: request.allowFlips,
+      engine: request.engine
+    })
+    if (request.count) {
+      post({ type: 'counts', counts: puzzle.countSolutions(request.pieceCounts, { atMost: request.atMost }) })
+      return
+    }
+    if (request.canComplete) {
+      const options = { atMost: request.atMost, constraints: request.constraints }
+      post({ type: 'canComplete', canComplete: puzzle.canComplete(request.pieceCounts, request.fixedMoves, options) })
+      return
+    }
+    /** @type {Number[][][]} */
+    let pending = []
+    let lastFlush = 0
+    const flush = () => {
+      lastFlush = Date.now()
+      if (pending.length === 0) return
+      post({ type: 'solutions', solutions: pending })
+      pending = []
+    }
+    let nodes = 0
+    const solutions = puzzle.search(request.pieceCounts, {
+      atMost: request.atMost,
+      fixedMoves: request.fixedMoves,
+      constraints: request.constraints,
+      maxSolutions: request.maxSolutions,
+      onProgress: n => nodes = n
+    })
+    for (const solution of solutions) {
+      if (solution) {
+        pending.push(solution)
+        if (Date.now() - lastFlush >= flushInterval) flush()
+      } else {
+        flush()
+        post({ type: 'progress', nodes })
+      }
+    }
+    flush()
+    post({ type: 'done', nodes })
+  } catch (e) {
+    post({ type: 'error', message: e instanceof Error ? e.message : `${e}` })
+  }
+}
+
+if (typeof self !== 'undefined') {
+  // The DOM typings describe `self` as a `Window`, not as a worker's global scope
+  const scope = /** @type {any} */ (self)
+  scope.onmessage = (/** @type {MessageEvent} */ event) =>
+    run(event.data, message => scope.postMessage(message))
+} else {
+  // Hide the module name from Vite, which would otherwise try to bundle it for the browser
+  const workerThreads = 'node:worker_threads'
+  import(/* @vite-ignore */ workerThreads).then(({ parentPort }) => {
+    parentPort?.once('message', (/** @type {any} */ request) =>
+      run(request, message => parentPort.postMessage(message)))
+  })
+}
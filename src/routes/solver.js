@@ -0,0 +1,215 @@
+/*
+ * Runs the Kangourou knot puzzle solver in a worker
+ *
+ * The recursive search in `KangourouKnotPuzzle.solve0()` can take a long
+ * time on larger boards. To keep the page (or a Node.js program)
+ * responsive, the search is delegated to `solver-worker.js`, which streams
+ * solutions and progress back as it goes.
+ *
+ * In the browser, a Web Worker is used; in Node.js, a `worker_threads`
+ * worker.
+ */
+
+/**
+ * @typedef {{
+ *   postMessage: (message: any) => void,
+ *   terminate: () => any,
+ *   onMessage: (callback: (message: any) => void) => void,
+ *   onError: (callback: (error: any) => void) => void
+ * }} SolverWorker
+ */
+
+/**
+ * Starts a new worker running `solver-worker.js`
+ *
+ * @returns {Promise<SolverWorker>}
+ */
+const startWorker = async () => {
+  if (typeof Worker !== 'undefined') {
+    const worker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' })
+    return {
+      postMessage: message => worker.postMessage(message),
+      terminate: () => worker.terminate(),
+      onMessage: callback => worker.addEventListener('message', event => callback(event.data)),
+      onError: callback => worker.addEventListener('error', event => callback(event.error || new Error(event.message)))
+    }
+  }
+
+  // Hide the module name from Vite, which would otherwise try to bundle it for the browser
+  const workerThreads = 'node:worker_threads'
+  const { Worker: NodeWorker } = await import(/* @vite-ignore */ workerThreads)
+  const workerFile = './solver-worker.js'
+  const worker = new NodeWorker(new URL(workerFile, import.meta.url))
+  return {
+    postMessage: message => worker.postMessage(message),
+    terminate: () => worker.terminate(),
+    onMessage: callback => worker.on('message', callback),
+    onError: callback => worker.on('error', callback)
+  }
+}
+
+/**
+ * Sends the request to a new worker and passes its answers to `onMessage`
+ * until that calls `done` with the result
+ *
+ * An error reported by the worker rejects the returned promise, and so
+ * does aborting the `signal` (with the signal's reason); either way, and
+ * once the result is there, the worker is terminated.
+ *
+ * @template T
+ * @param {Object} request as described in `solver-worker.js`
+ * @param {(message: any, done: (result: T) => void) => void} onMessage
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+const runInWorker = async (request, onMessage, signal) => {
+  signal?.throwIfAborted()
+  const worker = await startWorker()
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      signal?.removeEventListener('abort', abort)
+      worker.terminate()
+    }
+    const abort = () => {
+      finish()
+      reject(signal?.reason)
+    }
+    if (signal?.aborted) return abort()
+    signal?.addEventListener('abort', abort)
+
+    worker.onMessage(message => {
+      if (message.type === 'error') {
+        finish()
+        reject(new Error(message.message))
+      } else onMessage(message, result => {
+        finish()
+        resolve(result)
+      })
+    })
+    worker.onError(error => {
+      finish()
+      reject(error)
+    })
+    worker.postMessage(request)
+  })
+}
+
+/**
+ * Solves the given board in a worker
+ *
+ * Solutions are passed to `onSolutions` in batches as soon as they are
+ * found, and `onProgress` is called regularly with the number of search
+ * nodes explored so far. The search stops after `maxSolutions` solutions
+ * (or after the first one, if `firstOnly` is set). As with
+ * `KangourouKnotPuzzle.solve()`, the pieces must be used up exactly unless
+ * `atMost` is set, and they include the pre-placed `fixedMoves`; the
+ * solutions honor the `constraints`, if any. Aborting the `signal`
+ * terminates the worker and rejects the returned promise with the
+ * signal's reason.
+ *
+ * @param {string} board the board in the ASCII format accepted by `KangourouKnotPuzzle`
+ * @param {Number[]} [pieceCounts]
+ * @param {{
+ *   onSolutions?: (solutions: Number[][][]) => void,
+ *   onProgress?: (nodes: Number) => void,
+ *   atMost?: boolean,
+ *   fixedMoves?: Number[][],
+ *   constraints?: import('./puzzle.js').Constraints,
+ *   maxSolutions?: Number,
+ *   firstOnly?: boolean,
+ *   pieceSet?: import('./pieces.js').PieceSetDefinition,
+ *   allowFlips?: boolean,
+ *   engine?: 'bitmask' | 'dlx',
+ *   signal?: AbortSignal
+ * }} [options]
+ * @returns {Promise<{ solutions: Number[][][], nodes: Number }>}
+ */
+export async function solveInWorker(board, pieceCounts, options) {
+  /** @type {Number[][][]} */
+  const solutions = []
+  return runInWorker({
+    board,
+    pieceCounts,
+    atMost: options?.atMost,
+    fixedMoves: options?.fixedMoves,
+    constraints: options?.constraints,
+    maxSolutions: options?.firstOnly ? 1 : options?.maxSolutions,
+    pieceSet: options?.pieceSet,
+    allowFlips: options?.allowFlips,
+    engine: options?.engine
+  }, (message, done) => {
+    if (message.type === 'solutions') {
+      solutions.push(...message.solutions)
+      options?.onSolutions?.(message.solutions)
+    } else if (message.type === 'progress') {
+      options?.onProgress?.(message.nodes)
+    } else if (message.type === 'done') {
+      done({ solutions, nodes: message.nodes })
+    }
+  }, options?.signal)
+}
+
+/**
+ * Counts the solutions of the given board in a worker
+ *
+ * See `KangourouKnotPuzzle.countSolutions()`. Aborting the `signal`
+ * terminates the worker and rejects the returned promise with the
+ * signal's reason.
+ *
+ * @param {string} board the board in the ASCII format accepted by `KangourouKnotPuzzle`
+ * @param {Number[]} [pieceCounts]
+ * @param {{
+ *   atMost?: boolean,
+ *   pieceSet?: import('./pieces.js').PieceSetDefinition,
+ *   allowFlips?: boolean,
+ *   signal?: AbortSignal
+ * }} [options]
+ * @returns {Promise<{ total: Number, byPieceCount: { pieceCount: Number[], count: Number }[] }>}
+ */
+export async function countInWorker(board, pieceCounts, options) {
+  return runInWorker({
+    board,
+    pieceCounts,
+    atMost: options?.atMost,
+    pieceSet: options?.pieceSet,
+    allowFlips: options?.allowFlips,
+    count: true
+  }, (message, done) => {
+    if (message.type === 'counts') done(message.counts)
+  }, options?.signal)
+}
+
+/**
+ * Tests in a worker whether the given pieces, already placed on the
+ * board, can be complemented to a solution
+ *
+ * See `KangourouKnotPuzzle.canComplete()`. Aborting the `signal`
+ * terminates the worker and rejects the returned promise with the
+ * signal's reason.
+ *
+ * @param {string} board the board in the ASCII format accepted by `KangourouKnotPuzzle`
+ * @param {Number[] | undefined} pieceCounts
+ * @param {Number[][]} fixedMoves the placed pieces
+ * @param {{
+ *   atMost?: boolean,
+ *   constraints?: import('./puzzle.js').Constraints,
+ *   pieceSet?: import('./pieces.js').PieceSetDefinition,
+ *   allowFlips?: boolean,
+ *   signal?: AbortSignal
+ * }} [options]
+ * @returns {Promise<boolean>}
+ */
+export async function canCompleteInWorker(board, pieceCounts, fixedMoves, options) {
+  return runInWorker({
+    board,
+    pieceCounts,
+    atMost: options?.atMost,
+    fixedMoves,
+    constraints: options?.constraints,
+    pieceSet: options?.pieceSet,
+    allowFlips: options?.allowFlips,
+    canComplete: true
+  }, (message, done) => {
+    if (message.type === 'canComplete') done(message.canComplete)
+  }, options?.signal)
+}